@@ -1,23 +1,308 @@
-// Service worker — handles installation and sets defaults
+// Service worker — handles installation, sets defaults, forwards
+// keyboard commands to the active tab, keeps the toolbar badge in
+// step with each tab's normalizer, runs the night mode schedule,
+// evicts old loudness memory and keeps the statistics history
+importScripts('lib/settings.js', 'lib/protocol.js', 'lib/night.js', 'lib/gain.js', 'lib/stats.js');
 
-chrome.runtime.onInstalled.addListener((details) => {
+const Settings = globalThis.NormalizerSettings;
+const Protocol = globalThis.NormalizerProtocol;
+const Night    = globalThis.NormalizerNight;
+const Stats    = globalThis.NormalizerStats;
+
+const STORAGE = Settings.STORAGE;
+
+// ─── Install & update ────────────────────────────────────────
+chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
-    chrome.storage.sync.set({
-      normalizerSettings: {
-        enabled: true,
-        preset: 'medium',
-        autoGain: true,
-        targetLevel: -14,
-        threshold: -24,
-        ratio: 4,
-        knee: 10,
-        attack: 3,
-        release: 250,
-        makeupGain: 6,
-        preGain: 0,
-        limiterThreshold: -1
-      }
+    await chrome.storage.sync.set({
+      [STORAGE.settings]: { ...Settings.DEFAULTS },
+      [STORAGE.version]: Settings.VERSION
     });
     console.log('[YT Normalizer] Installed with default settings.');
+  } else if (details.reason === 'update') {
+    await migrateStorage();
+    await migrateMemory();
+  }
+  await updateNightSchedule();
+});
+
+// Brings the global settings, every profile and every user preset
+// to the current schema, validated, and stamps the version
+async function migrateStorage() {
+  const all = await chrome.storage.sync.get(null);
+  const from = all[STORAGE.version] || 1;
+  if (from > Settings.VERSION) return;   // written by a newer build
+  const upgrade = (stored) => Settings.withDefaults(Settings.migrate(stored, from));
+  const items = { [STORAGE.version]: Settings.VERSION };
+  if (all[STORAGE.settings]) items[STORAGE.settings] = upgrade(all[STORAGE.settings]);
+  Object.keys(all).forEach((k) => {
+    const entry = all[k];
+    if (!entry || typeof entry !== 'object') return;
+    if (k.startsWith(STORAGE.profilePrefix)) {
+      items[k] = { ...entry, settings: upgrade(entry.settings) };
+    } else if (k.startsWith(STORAGE.presetPrefix)) {
+      items[k] = { ...entry, settings: Settings.pickPresetFields(Settings.migrate(entry.settings, from)) };
+    }
+  });
+  await chrome.storage.sync.set(items);
+  console.log(`[YT Normalizer] Settings checked against schema v${Settings.VERSION} (stored v${from}).`);
+}
+
+// ─── Loudness memory ─────────────────────────────────────────
+// Content scripts keep each video's loudness under its own key
+// (STORAGE.memoryPrefix + video ID) and only ever set or remove
+// that key. Eviction of the least recently played happens here,
+// whenever a video is remembered for the first time.
+const MEMORY_MAX_ENTRIES = 500;
+
+async function pruneMemory() {
+  const all = await chrome.storage.local.get(null);
+  const keys = Object.keys(all).filter((k) => k.startsWith(STORAGE.memoryPrefix));
+  if (keys.length <= MEMORY_MAX_ENTRIES) return;
+  keys.sort((a, b) => all[a].used - all[b].used);
+  await chrome.storage.local.remove(keys.slice(0, keys.length - MEMORY_MAX_ENTRIES));
+}
+
+// Earlier versions kept the whole memory under one key
+async function migrateMemory() {
+  const legacy = (await chrome.storage.local.get(STORAGE.legacyMemory))[STORAGE.legacyMemory];
+  if (!legacy) return;
+  const items = {};
+  Object.keys(legacy).forEach((id) => { items[STORAGE.memoryPrefix + id] = legacy[id]; });
+  await chrome.storage.local.set(items);
+  await chrome.storage.local.remove(STORAGE.legacyMemory);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  const added = Object.keys(changes).some((k) =>
+    k.startsWith(STORAGE.memoryPrefix) && changes[k].oldValue === undefined && changes[k].newValue !== undefined);
+  if (added) pruneMemory();
+});
+
+// ─── Loudness statistics ─────────────────────────────────────
+// Content scripts save each open session under its own key
+// (STORAGE.sessionPrefix + session ID), marked `ended` the last
+// time. Ended sessions are moved into the history here, one move at
+// a time, so this is the only place the history is written.
+// Clearing stamps STORAGE.statsCleared, which Stats.merge honours.
+let statsQueue = Promise.resolve();
+
+// `orphans` also closes sessions left open by a browser that quit
+async function closeSessions(orphans = false) {
+  const all = await chrome.storage.local.get(null);
+  const keys = Object.keys(all).filter((k) => k.startsWith(STORAGE.sessionPrefix) && (orphans || all[k].ended));
+  if (!keys.length) return;
+  const history = Stats.merge(all[STORAGE.stats], keys.map((k) => all[k]), all[STORAGE.statsCleared]);
+  await chrome.storage.local.set({ [STORAGE.stats]: history });
+  await chrome.storage.local.remove(keys);
+}
+
+function queueCloseSessions(orphans) {
+  statsQueue = statsQueue.then(() => closeSessions(orphans))
+    .catch((e) => console.warn('[YT Normalizer] Statistics not saved:', e.message));
+  return statsQueue;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  const ended = Object.keys(changes).some((k) =>
+    k.startsWith(STORAGE.sessionPrefix) && changes[k].newValue && changes[k].newValue.ended);
+  if (ended) queueCloseSessions();
+});
+
+chrome.runtime.onStartup.addListener(() => queueCloseSessions(true));
+
+// ─── Keyboard commands ───────────────────────────────────────
+// On YouTube itself only the top frame acts on a command; on other
+// sites it goes to every frame so embedded players pick it up.
+const YOUTUBE_URL = /^https:\/\/([\w-]+\.)*youtube\.com\//;
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !/^https?:/.test(tab.url || '')) return;
+  const options = YOUTUBE_URL.test(tab.url) ? { frameId: 0 } : {};
+  const msg = { v: Protocol.VERSION, id: Date.now(), type: 'command', command };
+  chrome.tabs.sendMessage(tab.id, msg, options, (resp) => {
+    if (chrome.runtime.lastError) return;   // no player in this tab
+    if (resp && resp.type === 'error') console.warn(`[YT Normalizer] ${command}: ${resp.message}`);
+  });
+});
+
+// ─── Tab status & badge ──────────────────────────────────────
+// Content scripts report whenever something shown here changes.
+// Reports are kept per frame, since players may be embedded, and
+// in session storage, since this worker is stopped when idle.
+const TABS_KEY = Settings.STORAGE.tabs;
+const ICON_PATHS = { 16: 'icons/icon16.png', 48: 'icons/icon48.png' };
+const BADGE_COLORS = { on: '#4caf50', off: '#777', inactive: '#444' };
+
+let tabs = {};   // tabId → { frameId → status }
+const loaded = chrome.storage.session.get(TABS_KEY).then((res) => {
+  tabs = res[TABS_KEY] || {};
+});
+
+function saveTabs() {
+  chrome.storage.session.set({ [TABS_KEY]: tabs });
+}
+
+// The frame with a player wins, preferring the top frame
+function tabStatus(tabId) {
+  const frames = Object.values(tabs[tabId] || {});
+  return frames.find((s) => s.active && s.top) || frames.find((s) => s.active) ||
+         frames.find((s) => s.top) || frames[0] || null;
+}
+
+function describeBadge(status) {
+  if (!status.active) return { text: '–', color: BADGE_COLORS.inactive, title: 'no player' };
+  if (!status.enabled) return { text: 'OFF', color: BADGE_COLORS.off, title: `off · ${status.source}` };
+  const gain = `${status.autoGain > 0 ? '+' : ''}${status.autoGain}`;
+  const night = status.night ? ' · night' : '';
+  const title = `${status.presetName} · ${gain} dB${night} · ${status.source}`;
+  switch (status.badge) {
+    case 'gain':   return { text: gain, color: BADGE_COLORS.on, title };
+    case 'preset': return { text: status.presetName.charAt(0).toUpperCase(), color: BADGE_COLORS.on, title };
+    case 'none':   return { text: '', color: BADGE_COLORS.on, title };
+    default:       return { text: 'ON', color: BADGE_COLORS.on, title };
+  }
+}
+
+// Toolbar icon at reduced opacity, for tabs where nothing is processed
+let dimmedIcon = null;
+function getDimmedIcon() {
+  if (!dimmedIcon) {
+    dimmedIcon = Promise.all(Object.keys(ICON_PATHS).map(Number).map(async (size) => {
+      const blob = await (await fetch(chrome.runtime.getURL(ICON_PATHS[size]))).blob();
+      const bitmap = await createImageBitmap(blob);
+      const g = new OffscreenCanvas(size, size).getContext('2d');
+      g.globalAlpha = 0.4;
+      g.drawImage(bitmap, 0, 0, size, size);
+      return [size, g.getImageData(0, 0, size, size)];
+    })).then(Object.fromEntries);
+  }
+  return dimmedIcon;
+}
+
+async function renderBadge(tabId) {
+  const status = tabStatus(tabId);
+  const { text, color, title } = status
+    ? describeBadge(status)
+    : { text: '', color: BADGE_COLORS.inactive, title: '' };
+  const lit = !status || (status.active && status.enabled);
+  try {
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color });
+    await chrome.action.setTitle({ tabId, title: title ? `YT Normalizer — ${title}` : 'YT Normalizer' });
+    await chrome.action.setIcon(lit ? { tabId, path: ICON_PATHS } : { tabId, imageData: await getDimmedIcon() });
+  } catch (_) { /* tab closed meanwhile */ }
+}
+
+async function updateStatus(tab, frameId, status) {
+  await loaded;
+  const frames = tabs[tab.id] || (tabs[tab.id] = {});
+  frames[frameId] = { ...status, title: tab.title || status.title, windowId: tab.windowId };
+  saveTabs();
+  renderBadge(tab.id);
+}
+
+async function forgetTab(tabId) {
+  await loaded;
+  if (!tabs[tabId]) return;
+  delete tabs[tabId];
+  saveTabs();
+}
+
+// A reload or navigation away starts over; the new page reports in.
+// YouTube's own navigations look the same here but keep the page
+// and its players, so frames still there are asked to report again.
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (changeInfo.status !== 'loading' || !changeInfo.url) return;
+  await forgetTab(tabId);
+  renderBadge(tabId);
+  chrome.tabs.sendMessage(tabId, Protocol.push('report'), () => void chrome.runtime.lastError);
+});
+chrome.tabs.onRemoved.addListener(forgetTab);
+
+// Tabs with a player attached, for the popup
+async function listTabs() {
+  await loaded;
+  return Object.keys(tabs).map(Number).map((tabId) => ({ tabId, status: tabStatus(tabId) }))
+    .filter(({ status }) => status && status.active)
+    .map(({ tabId, status }) => ({
+      tabId,
+      windowId: status.windowId,
+      title: status.title,
+      source: status.source,
+      enabled: status.enabled,
+      presetName: status.presetName,
+      autoGain: status.autoGain
+    }));
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!msg || msg.v !== Protocol.VERSION) return false;
+  if (msg.type === 'status' && sender.tab) {
+    updateStatus(sender.tab, sender.frameId, msg.status);
+    return false;
   }
-});
\ No newline at end of file
+  if (msg.type === 'listTabs') {
+    listTabs().then(
+      (list) => sendResponse(Protocol.reply(msg.id, { tabs: list })),
+      (e) => sendResponse(Protocol.errorReply(msg.id, e)));
+    return true;   // async sendResponse
+  }
+  return false;
+});
+
+// ─── Night mode schedule ─────────────────────────────────────
+// The schedule is part of the global settings. An alarm fires at
+// each start and end of the window; the state is kept in local
+// storage for pages loaded later and pushed to every YouTube tab
+// and every tab with a player embedded.
+const NIGHT_ALARM = 'night-schedule';
+const NIGHT_KEY = STORAGE.night;
+const NIGHT_FIELDS = ['nightSchedule', 'nightStart', 'nightEnd'];
+const YOUTUBE_TABS = ['*://*.youtube.com/*', '*://*.youtube-nocookie.com/*'];
+
+async function updateNightSchedule() {
+  const res = await chrome.storage.sync.get(STORAGE.settings);
+  const settings = Settings.withDefaults(res[STORAGE.settings]);
+  const now = new Date();
+  if (settings.nightSchedule) {
+    await chrome.alarms.create(NIGHT_ALARM, { when: Night.nextChange(settings, now) });
+  } else {
+    await chrome.alarms.clear(NIGHT_ALARM);
+  }
+
+  const active = Night.scheduled(settings, now);
+  const stored = (await chrome.storage.local.get(NIGHT_KEY))[NIGHT_KEY];
+  if (stored === active) return;
+  await chrome.storage.local.set({ [NIGHT_KEY]: active });
+  await pushNight(active);
+  console.log(`[YT Normalizer] Night schedule ${active ? 'on' : 'off'}.`);
+}
+
+async function pushNight(active) {
+  await loaded;
+  const found = await chrome.tabs.query({ url: YOUTUBE_TABS });
+  const ids = new Set([...found.map((t) => t.id), ...Object.keys(tabs).map(Number)]);
+  const msg = Protocol.push('night', { active });
+  ids.forEach((tabId) => {
+    chrome.tabs.sendMessage(tabId, msg, () => void chrome.runtime.lastError);
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === NIGHT_ALARM) updateNightSchedule();
+});
+
+chrome.runtime.onStartup.addListener(updateNightSchedule);
+
+// Only edits to the schedule itself need it re-checked
+chrome.storage.onChanged.addListener((changes, area) => {
+  const change = area === 'sync' && changes[STORAGE.settings];
+  if (!change) return;
+  const before = Settings.withDefaults(change.oldValue);
+  const after = Settings.withDefaults(change.newValue);
+  if (NIGHT_FIELDS.some((k) => before[k] !== after[k])) updateNightSchedule();
+});
@@ -1,8 +1,13 @@
 // ─────────────────────────────────────────────────────────────
 // YouTube Audio Normalizer — Content Script
-// Injected into youtube.com and music.youtube.com pages.
-// Uses Web Audio API to apply dynamic-range compression,
-// automatic gain control, and brick-wall limiting.
+// Injected into youtube.com and music.youtube.com pages and into
+// embedded players in any frame. Every playing media element gets
+// its own Web Audio chain applying dynamic-range compression,
+// automatic gain control, and true-peak lookahead limiting, with
+// a channel stage for broken stereo, an optional speech-focused
+// dialogue stage and parametric EQ.
+// Loudness is measured in LUFS (ITU-R BS.1770 / EBU R128) and
+// both the meter and the limiter run as AudioWorklets.
 // ─────────────────────────────────────────────────────────────
 
 (function () {
@@ -12,114 +17,720 @@
   if (window.__ytAudioNormalizerActive) return;
   window.__ytAudioNormalizerActive = true;
 
-  // ─── Presets ───────────────────────────────────────────────
-  const PRESETS = {
-    light: {
-      threshold: -18,
-      ratio: 2,
-      knee: 20,
-      attack: 10,
-      release: 300,
-      makeupGain: 2,
-      autoGain: true,
-      targetLevel: -16
-    },
-    medium: {
-      threshold: -24,
-      ratio: 4,
-      knee: 10,
-      attack: 3,
-      release: 250,
-      makeupGain: 6,
-      autoGain: true,
-      targetLevel: -14
-    },
-    heavy: {
-      threshold: -35,
-      ratio: 10,
-      knee: 5,
-      attack: 1,
-      release: 150,
-      makeupGain: 12,
-      autoGain: true,
-      targetLevel: -11
-    }
-  };
-
-  const DEFAULT_SETTINGS = {
-    enabled: true,
-    preset: 'medium',
-    autoGain: true,
-    targetLevel: -14,
-    threshold: -24,
-    ratio: 4,
-    knee: 10,
-    attack: 3,       // ms — stored as ms, converted to seconds for Web Audio
-    release: 250,     // ms
-    makeupGain: 6,    // dB
-    preGain: 0,       // dB
-    limiterThreshold: -1 // dB
-  };
+  // ─── Settings & presets ────────────────────────────────────
+  // Schema, defaults and validation come from lib/settings.js,
+  // built-in and user presets from lib/presets.js.
+  const Settings = globalThis.NormalizerSettings;
+  const Presets  = globalThis.NormalizerPresets;
+  const EQ       = globalThis.NormalizerEQ;
+  const Protocol = globalThis.NormalizerProtocol;
+  const Gain     = globalThis.NormalizerGain;
+  const Night    = globalThis.NormalizerNight;
+  const Channels = globalThis.NormalizerChannels;
+  const Stats    = globalThis.NormalizerStats;
+
+  // attack / release are stored in ms and converted to seconds for Web Audio
+  const DEFAULT_SETTINGS = Settings.DEFAULTS;
 
   // ─── State ─────────────────────────────────────────────────
   let settings = { ...DEFAULT_SETTINGS };
-  let audioCtx = null;
-  let nodes = {};          // all AudioNodes
-  let currentVideo = null; // currently connected <video>
-  let metering = null;     // setInterval id
-  let autoGainValue = 0;   // current auto-gain in dB
-  let levels = { inputRMS: -Infinity, outputRMS: -Infinity, reduction: 0 };
-  let rmsHistory = [];
-  const RMS_HISTORY_LEN = 20; // ~2 s at 100 ms interval
+  let audioCtx = null;      // shared by all chains
+  let metering = null;      // setInterval id
+  let workletsReady = null; // Promise from audioWorklet.addModule()
+  let activeProfile = null; // { key, scope, label } or null for global settings
+  let compareTimer = null;  // setTimeout id while a momentary A/B runs
+  let abState = null;       // { blind, flipped, path } while A/B comparing
+  let nightScheduled = false; // night schedule is on, per the service worker
+
+  const chains = new Map();           // media element → chain (see createChain)
+  const mediaSources = new WeakMap(); // media element → its MediaElementAudioSourceNode
+  const waiting = new WeakSet();      // elements with a pending canplay listener
+  let nextChainId = 1;
+
+  const views = new Set();            // open extension views, see Ports
+  const INSTANCE = Math.random().toString(36).slice(2, 10);   // tells frames apart
+
+  const WORKLET_MODULES = ['worklets/loudness-meter.js',
+                           'worklets/true-peak-limiter.js'];
+
+  // Auto-gain rules live in lib/gain.js
+  const AGC_GATE_LUFS = Gain.GATE_LUFS;
+  const INTEGRATED_MIN_SEC = Gain.INTEGRATED_MIN_SEC;
+
+  const BRIDGE_CHANNEL = 'yt-audio-normalizer';   // see player-bridge.js
+  const YT_LOUDNESS_TRIES = 8;     // player response may lag navigation
+  const YT_LOUDNESS_RETRY_MS = 250;
+  const PREANALYSIS_TIMEOUT_MS = 3000;  // give up if no audio arrives
+  const TRACK_SETTLE_MS = [0, 300, 1000, 2500];  // re-checks after a track change
+
+  const SETTINGS_KEY = Settings.STORAGE.settings;
+  const PROFILE_PREFIX = Settings.STORAGE.profilePrefix;
+  const PROFILE_SETTLE_MS = 1500;  // YouTube swaps owner info after navigation
+
+  const NIGHT_KEY = Settings.STORAGE.night;
+
+  const MEMORY_PREFIX = Settings.STORAGE.memoryPrefix;
+  const MEMORY_SAVE_TICKS = 100;   // metering ticks between saves (~10 s)
+
+  const SESSION_PREFIX = Settings.STORAGE.sessionPrefix;
+
+  // Player classes YouTube sets while an ad has the <video>
+  const AD_SELECTOR = '.html5-video-player.ad-showing, .html5-video-player.ad-interrupting';
+
+  const SPEECH_BAND_HZ = [300, 3400];  // where voice energy sits
+  const SPEECH_REF_HZ  = [100, 8000];  // band the voice share is taken of
+  const SPEECH_RATIO_MIN = 0.5;        // voice share of the reference band
+  const SPEECH_MOD_MIN_DB = 3;         // syllable-rate level swing over ~1 s
+  const SPEECH_HANG_TICKS = 4;         // bridges pauses between words
+  const SPEECH_WINDOW_TICKS = 100;     // ~10 s of speech for speech loudness
+  const SPEECH_MIN_TICKS = 20;         // ~2 s of speech before AGC follows it
+
+  const DETACH_GRACE_MS = 2000;  // players are re-parented, not replaced
+
+  const COMPARE_MS = 3000;        // momentary A/B bypass
+  const AB_MATCH_RANGE = 24;      // dB the bypass path may be matched by
+  const TOAST_MS = 1800;
+
+  const HISTORY_SIZE = 3000;      // 5 min of ticks, the longest graph window
+  const SPECTRUM_BANDS = 64;      // log-spaced, for the popup's analyzer
+  const SPECTRUM_HZ = [20, 20000];
 
   // ─── Helpers ───────────────────────────────────────────────
-  const dBtoLinear = (dB) => Math.pow(10, dB / 20);
-  const linearToDB = (lin) => 20 * Math.log10(lin || 1e-10);
+  const dBtoLinear = Gain.dBtoLinear;
 
-  function calcRMS(buffer) {
-    let sum = 0;
-    for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
-    return Math.sqrt(sum / buffer.length);
+  // Lowpass / highpass Q is given in dB by Web Audio; allpass Q is linear
+  const BUTTERWORTH_Q_DB = EQ.BUTTERWORTH_Q_DB;
+
+  // chrome.storage.local[method](arg). Storage is gone once the
+  // extension is reloaded under the page, so a failure is logged
+  // and resolves to `fallback`; callers need not catch.
+  function local(method, arg, fallback) {
+    return new Promise((resolve) => chrome.storage.local[method](arg, resolve))
+      .catch((e) => {
+        console.warn(`[YT Normalizer] Storage ${method} failed:`, e.message);
+        return fallback;
+      });
+  }
+
+  function emptyLoudness() {
+    return { momentary: -Infinity, shortTerm: -Infinity,
+             integrated: -Infinity, lra: 0, gatedSeconds: 0 };
+  }
+
+  function emptyLevels() {
+    return {
+      input:  emptyLoudness(),
+      output: emptyLoudness(),
+      reduction: 0,
+      bandReduction: [],     // per band, multi-band mode only
+      limiterReduction: 0,
+      peak: -Infinity,       // highest true peak reaching the limiter, dBTP
+      speech: false,         // speech detected in the input (dialogue mode)
+      speechLoudness: -Infinity,
+      channels: Channels.empty()   // source channel levels and correlation
+    };
+  }
+
+  // ─── Processing chains ─────────────────────────────────────
+  // Each media element that plays gets its own chain on the shared
+  // AudioContext, with its own nodes, meters and gain state. The
+  // main player's chain also carries the programme features:
+  // loudness memory, YouTube loudness data, ads and Music tracks.
+  function createChain(media) {
+    return {
+      id: nextChainId++,
+      media,
+      label: describeMedia(media),
+      main: false,
+      nodes: {},             // all AudioNodes of this chain
+      levels: emptyLevels(),
+      autoGainValue: 0,      // current auto-gain in dB
+      videoId: null,         // programme being measured: video ID, or album:<id>
+      gainSource: 'live',    // 'cache' | 'youtube' | 'preanalysis' | 'live'
+      speechHistory: [],     // momentary energy of recent speech ticks
+      speech: { spectrum: null, voiceLevels: [], hang: 0 },
+      adState: null,         // content gain held while an ad plays
+      session: null,         // loudness statistics of the programme (lib/stats.js)
+      matchGain: 0,          // dB bringing the input to output loudness (A/B)
+      routing: null,         // routingKey() the processing path is wired for
+      rewireTimer: null,     // while the processing path is faded out to rewire
+      outputTap: null,       // node feeding the output meter
+      preAnalysis: null,     // { started } while output waits for analysis
+      ticks: 0,              // metering ticks
+      history: [],           // [input M, output M, reduction, auto-gain] per tick
+      historySeq: 0,         // samples recorded so far
+      detachedAt: 0          // when the element left the DOM
+    };
+  }
+
+  function mainChain() {
+    for (const c of chains.values()) if (c.main) return c;
+    return null;
+  }
+
+  // Chain shown in the popup: the one asked for, else the main player
+  function displayChain(id) {
+    const all = [...chains.values()].filter((c) => c.nodes.source);
+    return all.find((c) => c.id === id) || all.find((c) => c.main) || all[0] || null;
+  }
+
+  function describeMedia(media) {
+    const embed = location.pathname.startsWith('/embed/');
+    if (media.closest('#inline-preview-player, ytd-video-preview')) return 'Preview';
+    if (media.closest('#shorts-player, ytd-reel-video-renderer')) return 'Shorts';
+    if (media.closest('ytmusic-player')) return 'YouTube Music';
+    if (embed) return 'Embedded player';
+    if (media.closest('#movie_player')) {
+      return document.querySelector('ytd-app[miniplayer-is-active]') ? 'Miniplayer' : 'Main player';
+    }
+    return media.tagName === 'AUDIO' ? 'Audio' : 'Video';
+  }
+
+  function listSources() {
+    return [...chains.values()].filter((c) => c.nodes.source).map((c) => ({
+      id: c.id,
+      label: c.label,
+      main: c.main,
+      playing: !c.media.paused,
+      momentary: c.levels.input.momentary,
+      autoGainValue: c.autoGainValue
+    }));
+  }
+
+  // ─── Channel / site detection ─────────────────────────────
+  function parseChannelHref(href) {
+    if (!href) return null;
+    const handle = href.match(/\/(@[^/?#]+)/);
+    if (handle) return { handle: decodeURIComponent(handle[1]) };
+    const id = href.match(/channel\/(UC[\w-]{22})/);
+    return id ? { id: id[1] } : null;
+  }
+
+  // Channel of what is playing (watch, Shorts, Music) or of the
+  // channel page being browsed.
+  function getChannel() {
+    const link =
+      document.querySelector('ytd-watch-metadata ytd-channel-name a') ||
+      document.querySelector('#owner ytd-channel-name a') ||
+      document.querySelector('ytd-reel-video-renderer[is-active] ytd-channel-name a') ||
+      document.querySelector('ytmusic-player-bar .byline a[href*="channel/"]');
+    if (link) {
+      const parsed = parseChannelHref(link.getAttribute('href'));
+      if (parsed) return { ...parsed, name: link.textContent.trim() };
+    }
+    const fromUrl = parseChannelHref(location.pathname);
+    if (fromUrl) {
+      const title = document.querySelector('ytd-channel-name #text, #channel-name #text');
+      return { ...fromUrl, name: title ? title.textContent.trim() : '' };
+    }
+    return null;
+  }
+
+  function getSite() {
+    return location.hostname === 'music.youtube.com'
+      ? { host: 'music.youtube.com', name: 'YouTube Music' }
+      : { host: 'youtube.com', name: 'YouTube' };
+  }
+
+  // Most specific first: channel (by ID, then handle), then site
+  function profileCandidates() {
+    const candidates = [];
+    const channel = getChannel();
+    if (channel) {
+      const label = channel.name || channel.handle || channel.id;
+      if (channel.id) candidates.push({ key: `${PROFILE_PREFIX}channel:${channel.id}`, scope: 'channel', label });
+      if (channel.handle) candidates.push({ key: `${PROFILE_PREFIX}channel:${channel.handle}`, scope: 'channel', label });
+    }
+    const site = getSite();
+    candidates.push({ key: `${PROFILE_PREFIX}site:${site.host}`, scope: 'site', label: site.name });
+    return candidates;
   }
 
   // ─── Load / Save settings ─────────────────────────────────
+  // Settings come from the most specific matching profile, falling
+  // back to the global normalizerSettings.
   async function loadSettings() {
+    const candidates = profileCandidates();
     return new Promise((resolve) => {
-      chrome.storage.sync.get('normalizerSettings', (res) => {
-        if (res.normalizerSettings) {
-          settings = { ...DEFAULT_SETTINGS, ...res.normalizerSettings };
+      chrome.storage.sync.get([SETTINGS_KEY, ...candidates.map((c) => c.key)], (res) => {
+        const match = candidates.find((c) => res[c.key]);
+        if (match) {
+          const profile = res[match.key];
+          activeProfile = { key: match.key, scope: match.scope, label: profile.label || match.label };
+          settings = { ...Settings.withDefaults(profile.settings), ...globalFields(res[SETTINGS_KEY]) };
+        } else {
+          activeProfile = null;
+          settings = Settings.withDefaults(res[SETTINGS_KEY]);
         }
         resolve(settings);
       });
     });
   }
 
+  // Fields like the night schedule belong to the global settings
+  // even while a profile is active
+  function globalFields(stored) {
+    const global = Settings.withDefaults(stored);
+    return Object.fromEntries(Settings.GLOBAL_KEYS.map((k) => [k, global[k]]));
+  }
+
+  // Edits made while a profile is active belong to that profile,
+  // apart from global fields. Everything written is validated
+  // against the schema first.
   function saveSettings() {
-    chrome.storage.sync.set({ normalizerSettings: settings });
+    settings = Settings.withDefaults(settings);
+    if (activeProfile) {
+      const profile = activeProfile;
+      const values = settings;
+      chrome.storage.sync.get(SETTINGS_KEY, (res) => {
+        const global = Settings.withDefaults(res[SETTINGS_KEY]);
+        const items = { [profile.key]: { label: profile.label, settings: values } };
+        if (Settings.GLOBAL_KEYS.some((k) => global[k] !== values[k])) {
+          items[SETTINGS_KEY] = { ...global, ...globalFields(values) };
+        }
+        chrome.storage.sync.set(items);
+      });
+    } else {
+      chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+    }
+  }
+
+  async function saveProfile(scope) {
+    const candidate = profileCandidates().find((c) => c.scope === scope);
+    if (!candidate) return false;
+    activeProfile = { key: candidate.key, scope, label: candidate.label };
+    saveSettings();
+    return true;
+  }
+
+  async function removeProfile() {
+    if (!activeProfile) return;
+    await new Promise((resolve) => chrome.storage.sync.remove(activeProfile.key, resolve));
+    await refreshProfile();
+  }
+
+  // Re-resolve on navigation; nodes are only touched if the
+  // matching profile actually changed.
+  async function refreshProfile() {
+    const before = activeProfile ? activeProfile.key : null;
+    await loadSettings();
+    const after = activeProfile ? activeProfile.key : null;
+    if (before === after) return;
+    applySettingsToNodes();
+    reconnect();
+    broadcastSettings();
+    console.log(`[YT Normalizer] Profile: ${activeProfile ? activeProfile.label : 'global'}`);
+  }
+
+  // Edits from the options page or another tab take effect live.
+  // Storage is re-read rather than trusting the change payload, so
+  // our own rapid writes settle on the latest value.
+  function watchStorage() {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync') return;
+      const relevant = Object.keys(changes)
+        .some((k) => k === SETTINGS_KEY || k.startsWith(PROFILE_PREFIX));
+      if (!relevant) return;
+      const before = JSON.stringify(settings);
+      loadSettings().then(() => {
+        if (JSON.stringify(settings) === before) return;
+        applySettingsToNodes();
+        reconnect();
+        broadcastSettings();
+      });
+    });
+  }
+
+  function scheduleProfileRefresh() {
+    refreshProfile();
+    setTimeout(refreshProfile, PROFILE_SETTLE_MS);
+  }
+
+  // ─── Per-video loudness memory ────────────────────────────
+  // { integrated, gain, targetLevel, used } in local storage under
+  // memory:<videoId>, so a replayed video starts at its converged
+  // gain. Albums in album mode are stored as memory:album:<browseId>.
+  // One key per video means no write here starts from a copy that
+  // another tab, frame or the options page has since changed; the
+  // service worker evicts the least recently played.
+  function getVideoId() {
+    const url = new URL(location.href);
+    const fromQuery = url.searchParams.get('v');
+    if (fromQuery) return fromQuery;
+    const fromPath = url.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]{11})/);
+    if (fromPath) return fromPath[1];
+    const flexy = document.querySelector('ytd-watch-flexy[video-id]');
+    return flexy ? flexy.getAttribute('video-id') : null;
+  }
+
+  const memoryKey = (id) => MEMORY_PREFIX + id;
+
+  async function recallLoudness(id) {
+    const res = await local('get', memoryKey(id), {});
+    return res[memoryKey(id)] || null;
+  }
+
+  // Only remembers once the integrated value is trustworthy
+  function rememberLoudness(c) {
+    const input = c.levels.input;
+    if (!c.videoId || input.gatedSeconds < INTEGRATED_MIN_SEC) return Promise.resolve();
+    const entry = {
+      integrated:  input.integrated,
+      gain:        c.adState ? c.adState.gain : c.autoGainValue,
+      targetLevel: settings.targetLevel,
+      used:        Date.now()
+    };
+    return local('set', { [memoryKey(c.videoId)]: entry });
+  }
+
+  async function forgetVideo(c) {
+    if (!c || !c.videoId) return;
+    await local('remove', memoryKey(c.videoId));
+    c.gainSource = 'live';
+  }
+
+  function setAutoGain(c, dB) {
+    c.autoGainValue = Gain.clamp(dB, maxGain());
+    if (c.nodes.autoGain) {
+      c.nodes.autoGain.gain.setTargetAtTime(dBtoLinear(c.autoGainValue), audioCtx.currentTime, 0.05);
+    }
+  }
+
+  // Called on the main element's loadstart, SPA navigation and
+  // YouTube Music track changes; the URL may lag behind, so nothing
+  // happens until the programme ID really changes.
+  async function checkVideoChange() {
+    const c = mainChain();
+    const id = getProgrammeId();
+    if (!c || id === c.videoId) return;
+
+    rememberLoudness(c);
+    saveStats(c, true);
+    c.videoId = id;
+    c.session = id ? Stats.create({ programme: id }) : null;
+    c.gainSource = 'live';
+    c.preAnalysis = null;
+    resetLoudness(c);
+    // YouTube Music changes tracks without SPA navigation events
+    scheduleProfileRefresh();
+
+    if (!id || !settings.enabled || !settings.autoGain) return;
+
+    const entry = await recallLoudness(id);
+    if (id !== c.videoId) return;
+    if (entry) {
+      // Shift the converged gain if the target has moved since
+      applyGainEstimate(c, entry.gain + settings.targetLevel - entry.targetLevel, 'cache');
+      return;
+    }
+
+    if (settings.preAnalysis > 0) startPreAnalysis(c);
+    if (!settings.youtubeLoudness) return;
+    // In album mode this is the album's first track heard
+    const loudness = await requestYouTubeLoudness(getVideoId(), c, id);
+    if (Number.isFinite(loudness) && id === c.videoId && c.gainSource === 'live') {
+      applyGainEstimate(c, settings.targetLevel - loudness, 'youtube');
+    }
+  }
+
+  // ─── Loudness statistics ──────────────────────────────────
+  // The main chain keeps a session per programme (lib/stats.js),
+  // fed every tick while it plays with processing on, ads left out.
+  // Once enough audio has been heard for their integrated loudness,
+  // sessions are saved under their own key in local storage, and a
+  // last time marked `ended` when they end; the service worker then
+  // moves them into the history, which only it writes.
+  function programmeTitle(id) {
+    const track = isMusic() ? getMusicTrack() : null;
+    if (track) return id.startsWith('album:') ? track.album : track.title;
+    return document.title.replace(/^\(\d+\) /, '').replace(/ - YouTube$/, '');
+  }
+
+  // Title and channel lag navigation, so they are read while the
+  // programme plays rather than when it starts
+  function describeSession(c) {
+    const channel = getChannel();
+    Stats.describe(c.session, {
+      title: programmeTitle(c.videoId),
+      channel: channel && { key: channel.id || channel.handle, name: channel.name }
+    });
+  }
+
+  function saveStats(c, ended = false) {
+    const session = c.session;
+    if (!session || session.seconds < INTEGRATED_MIN_SEC) return;
+    session.updated = Date.now();
+    local('set', { [SESSION_PREFIX + session.id]: ended ? { ...session, ended } : session });
+  }
+
+  // ─── YouTube Music tracks ─────────────────────────────────
+  // One <video> plays the whole queue, often without a loadstart
+  // between tracks, so track changes are read from the player bar.
+  // Track mode gives every track its own gain; album mode keeps one
+  // programme, and one gain, while consecutive tracks share an album.
+  const isMusic = () => location.hostname === 'music.youtube.com';
+
+  function getMusicTrack() {
+    const bar = document.querySelector('ytmusic-player-bar');
+    const title = bar && bar.querySelector('.title');
+    if (!title || !title.textContent.trim()) return null;
+    const artist = bar.querySelector('.byline a[href*="channel/"]');
+    const album = bar.querySelector('.byline a[href*="browse/MPRE"]');
+    const albumId = album && album.getAttribute('href').match(/browse\/([\w-]+)/);
+    return {
+      title: title.textContent.trim(),
+      artist: artist ? artist.textContent.trim() : '',
+      album: album ? album.textContent.trim() : '',
+      albumId: albumId ? albumId[1] : null
+    };
+  }
+
+  function getProgrammeId() {
+    const id = getVideoId();
+    if (!id || !isMusic() || settings.musicGainMode !== 'album') return id;
+    const track = getMusicTrack();
+    return track && track.albumId ? `album:${track.albumId}` : id;
+  }
+
+  function watchMusicTracks() {
+    const bar = document.querySelector('ytmusic-player-bar');
+    if (!bar) {
+      setTimeout(watchMusicTracks, 1000);
+      return;
+    }
+    let last = '';
+    new MutationObserver(() => {
+      const t = getMusicTrack();
+      const key = t ? `${t.title}|${t.artist}|${t.albumId}` : '';
+      if (key === last) return;
+      last = key;
+      // The URL follows the player bar with a delay
+      TRACK_SETTLE_MS.forEach((ms) => setTimeout(checkVideoChange, ms));
+    }).observe(bar, { subtree: true, childList: true, characterData: true,
+                      attributes: true, attributeFilter: ['href'] });
+  }
+
+  // ─── Initial gain estimate ─────────────────────────────────
+  function applyGainEstimate(c, gain, source) {
+    c.preAnalysis = null;
+    // A pre-roll may already be playing; the gain waits for it
+    if (c.adState) c.adState = { gain, gainSource: source };
+    else setAutoGain(c, gain);
+    c.gainSource = source;
+  }
+
+  // YouTube's published loudness is read from the player response
+  // by the main-world bridge; Gain.published converts it to LUFS.
+  let bridgeRequests = 0;
+
+  function askBridge(id) {
+    const requestId = ++bridgeRequests;
+    return new Promise((resolve) => {
+      const onMessage = (e) => {
+        const d = e.data;
+        if (e.source !== window || !d || d.channel !== BRIDGE_CHANNEL ||
+            d.type !== 'playerLoudness' || d.requestId !== requestId) return;
+        window.removeEventListener('message', onMessage);
+        clearTimeout(timer);
+        resolve(d.videoId === id ? d : null);
+      };
+      const timer = setTimeout(() => {
+        window.removeEventListener('message', onMessage);
+        resolve(null);
+      }, YT_LOUDNESS_RETRY_MS);
+      window.addEventListener('message', onMessage);
+      window.postMessage({ channel: BRIDGE_CHANNEL, type: 'getPlayerLoudness', requestId },
+                         location.origin);
+    });
+  }
+
+  async function requestYouTubeLoudness(id, c, programme) {
+    for (let i = 0; i < YT_LOUDNESS_TRIES && programme === c.videoId; i++) {
+      const reply = await askBridge(id);
+      if (reply) return Gain.published(reply);
+      await new Promise((r) => setTimeout(r, YT_LOUDNESS_RETRY_MS));
+    }
+    return null;
+  }
+
+  // Without a known loudness the output is held silent for a short
+  // window while the input meter measures the opening audio; the
+  // gain then fades in already matched.
+  function startPreAnalysis(c) {
+    if (!c.nodes.autoGain || c.adState) return;
+    const g = c.nodes.autoGain.gain;
+    c.preAnalysis = { started: audioCtx.currentTime };
+    g.cancelScheduledValues(audioCtx.currentTime);
+    g.setTargetAtTime(0, audioCtx.currentTime, 0.005);
+  }
+
+  function tickPreAnalysis(c, input) {
+    const elapsed = (audioCtx.currentTime - c.preAnalysis.started) * 1000;
+    if (elapsed >= settings.preAnalysis && input.momentary > AGC_GATE_LUFS) {
+      applyGainEstimate(c, settings.targetLevel - input.shortTerm, 'preanalysis');
+    } else if (elapsed >= PREANALYSIS_TIMEOUT_MS) {
+      endPreAnalysis(c);
+    }
+  }
+
+  // Releases the hold, fading the previous gain back in
+  function endPreAnalysis(c) {
+    if (!c.preAnalysis) return;
+    c.preAnalysis = null;
+    setAutoGain(c, c.autoGainValue);
+  }
+
+  // ─── Ads ───────────────────────────────────────────────────
+  // Ads play through the main player's <video>. While one is showing
+  // the content gain is set aside and the meters stop accumulating
+  // integrated loudness; the ad gets its own gain (following its
+  // short-term loudness, or a fixed attenuation).
+  function isAdPlaying() {
+    return !!document.querySelector(AD_SELECTOR);
+  }
+
+  function holdMeters(c, hold) {
+    [c.nodes.inputMeter, c.nodes.outputMeter].forEach((m) => {
+      if (m) m.port.postMessage({ type: 'hold', hold });
+    });
+  }
+
+  function updateAdState(c) {
+    const playing = c.main && settings.enabled && settings.adAware && isAdPlaying();
+    if (playing === !!c.adState) return;
+
+    if (playing) {
+      endPreAnalysis(c);
+      c.adState = { gain: c.autoGainValue, gainSource: c.gainSource };
+      holdMeters(c, true);
+      if (settings.adFixedGain) setAutoGain(c, settings.adGain);
+      console.log('[YT Normalizer] Ad started; content gain held.');
+    } else {
+      const saved = c.adState;
+      c.adState = null;
+      holdMeters(c, false);
+      setAutoGain(c, saved.gain);
+      c.gainSource = saved.gainSource;
+      console.log('[YT Normalizer] Ad ended; content gain restored.');
+    }
+  }
+
+  // ─── AudioWorklet modules ──────────────────────────────────
+  function loadWorklets() {
+    if (!workletsReady) {
+      workletsReady = Promise.all(WORKLET_MODULES.map((m) =>
+        audioCtx.audioWorklet.addModule(chrome.runtime.getURL(m))))
+        .then(() => true)
+        .catch((e) => {
+          console.warn('[YT Normalizer] AudioWorklets unavailable:', e.message);
+          return false;
+        });
+    }
+    return workletsReady;
+  }
+
+  // Loudness meters are sinks: they have no outputs and report
+  // M / S / I / LRA every 100 ms into the chain's levels slot.
+  function createLoudnessMeter(c, key) {
+    const meter = new AudioWorkletNode(audioCtx, 'loudness-meter', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0
+    });
+    meter.port.onmessage = (e) => { c.levels[key] = e.data; };
+    return meter;
+  }
+
+  // True-peak lookahead limiter; reports its worst gain reduction
+  // per 100 ms so short spikes still show on the meter, and the
+  // highest peak for the statistics.
+  function createLimiter(c) {
+    const limiter = new AudioWorkletNode(audioCtx, 'true-peak-limiter', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      processorOptions: { lookahead: settings.limiterLookahead }
+    });
+    limiter.port.onmessage = (e) => {
+      c.levels.limiterReduction = e.data.reduction;
+      c.levels.peak = e.data.peak;
+    };
+    return limiter;
+  }
+
+  // Fallback when worklets cannot be loaded: a compressor pushed
+  // as close to brick-wall as DynamicsCompressorNode allows.
+  function createCompressorLimiter() {
+    const limiter = audioCtx.createDynamicsCompressor();
+    limiter.threshold.value = -1;
+    limiter.ratio.value     = 20;
+    limiter.knee.value      = 0;
+    limiter.attack.value    = 0.001;
+    limiter.release.value   = 0.01;
+    return limiter;
+  }
+
+  function resetLoudness(c) {
+    c.levels.input  = emptyLoudness();
+    c.levels.output = emptyLoudness();
+    c.levels.speechLoudness = -Infinity;
+    c.speechHistory = [];
+    // A new programme gets its own phase decision
+    const inverted = c.levels.channels.inverted;
+    c.levels.channels = Channels.empty();
+    if (inverted) applyChannelSettings(c);
+    [c.nodes.inputMeter, c.nodes.outputMeter].forEach((m) => {
+      if (m) m.port.postMessage({ type: 'reset' });
+    });
+    holdMeters(c, !!c.adState);
   }
 
   // ─── Build the audio graph ─────────────────────────────────
   //
-  //  source ──▸ inputAnalyser ──▸ preGain ──▸ autoGain
-  //       ──▸ compressor ──▸ makeupGain ──▸ limiter
-  //       ──▸ outputAnalyser ──▸ destination
+  //  source ──▸ channels ──▸ inputAnalyser ──▸ preGain ──▸ autoGain
+  //       ──▸ [dialogue] ──▸ [preEQ] ──▸ compressor ──▸ makeupGain
+  //       ──▸ [postEQ] ──▸ limiter ──▸ outputAnalyser ──▸ wet ──▸ destination
+  //
+  //  inputAnalyser ──▸ inputMeter,  outputAnalyser ──▸ outputMeter
+  //  inputAnalyser ──▸ speechAnalyser (dialogue mode only)
+  //
+  //  The channel stage comes first so that meters and auto-gain see
+  //  the channels as they are processed; it also meters the source.
+  //
+  //  source ──▸ matchGain ──▸ dry ──▸ destination
+  //
+  //  `wet` and `dry` are crossfaded: dry is heard while processing
+  //  is off, and level-matched as the B side of an A/B comparison.
+  //
+  //  In multi-band mode `compressor` is replaced by
+  //  crossover ──▸ band compressors ──▸ sum (see createMultiband).
   //
-  function buildGraph(video) {
-    if (currentVideo === video && audioCtx) return;   // already wired
-    currentVideo = video;
+  async function buildGraph(media) {
+    if (chains.has(media)) return;   // already wired, or being wired
+    const c = createChain(media);
+    chains.set(media, c);
 
     try {
       if (!audioCtx || audioCtx.state === 'closed') {
         audioCtx = new AudioContext();
+        workletsReady = null;
       }
+      const hasWorklets = await loadWorklets();
+      if (chains.get(media) !== c) return;   // released meanwhile
 
-      // Source — may only be created once per element
-      let source;
-      try {
-        source = audioCtx.createMediaElementSource(video);
-      } catch (e) {
-        console.warn('[YT Normalizer] createMediaElementSource failed:', e.message);
-        return;
+      // Source — may only be created once per element, so it outlives
+      // the chain in case the element comes back
+      let source = mediaSources.get(media);
+      if (!source) {
+        try {
+          source = audioCtx.createMediaElementSource(media);
+        } catch (e) {
+          console.warn('[YT Normalizer] createMediaElementSource failed:', e.message);
+          chains.delete(media);
+          return;
+        }
+        mediaSources.set(media, source);
       }
 
       // --- create nodes ---
@@ -128,158 +739,849 @@
       const autoGain       = audioCtx.createGain();
       const compressor     = audioCtx.createDynamicsCompressor();
       const makeupGain     = audioCtx.createGain();
-      const limiter        = audioCtx.createDynamicsCompressor();
+      const limiter        = hasWorklets ? createLimiter(c) : createCompressorLimiter();
       const outputAnalyser = audioCtx.createAnalyser();
+      const speechAnalyser = audioCtx.createAnalyser();
+      const matchGain      = audioCtx.createGain();
+      const wet            = audioCtx.createGain();
+      const dry            = audioCtx.createGain();
 
       inputAnalyser.fftSize  = 2048;
       outputAnalyser.fftSize = 2048;
+      speechAnalyser.fftSize = 2048;
+      speechAnalyser.smoothingTimeConstant = 0;   // syllables must stay visible
 
-      // limiter — brick-wall
-      limiter.threshold.value = -1;
-      limiter.ratio.value     = 20;
-      limiter.knee.value      = 0;
-      limiter.attack.value    = 0.001;
-      limiter.release.value   = 0.01;
+      c.nodes = { source, inputAnalyser, preGain, autoGain,
+                  compressor, makeupGain, limiter, outputAnalyser,
+                  speechAnalyser, matchGain, wet, dry,
+                  channels: createChannelStage(), dialogue: createDialogueStage(),
+                  preEQ: createEQ(EQ.PRE_BANDS), postEQ: createEQ(EQ.POST_BANDS) };
+      if (hasWorklets) {
+        c.nodes.inputMeter  = createLoudnessMeter(c, 'input');
+        c.nodes.outputMeter = createLoudnessMeter(c, 'output');
+      }
 
-      nodes = { source, inputAnalyser, preGain, autoGain,
-                compressor, makeupGain, limiter, outputAnalyser };
+      // A new src on the main element may be a new programme; on any
+      // other element it is a new clip and measuring starts over
+      c.onLoadStart = () => {
+        if (c.main) checkVideoChange();
+        else resetLoudness(c);
+      };
+      media.addEventListener('loadstart', c.onLoadStart);
 
-      applySettingsToNodes();
+      c.main = media === findMainVideo();
+      applyChainSettings(c);
 
-      if (settings.enabled) {
-        connectProcessing();
-      } else {
-        connectBypass();
-      }
+      connectGraph(c);
 
       if (audioCtx.state === 'suspended') audioCtx.resume();
 
       startMetering();
-      console.log('[YT Normalizer] Audio graph ready.');
+      if (c.main) checkVideoChange();
+      console.log(`[YT Normalizer] Audio graph ready: ${c.label}.`);
     } catch (e) {
+      chains.delete(media);
       console.error('[YT Normalizer] buildGraph error:', e);
     }
   }
 
+  // The element keeps its source node: it cannot get another one,
+  // and reattaching reuses it.
+  function destroyChain(c) {
+    rememberLoudness(c);
+    saveStats(c, true);
+    c.media.removeEventListener('loadstart', c.onLoadStart);
+    clearTimeout(c.rewireTimer);
+    disconnectAll(c);
+    [c.nodes.inputMeter, c.nodes.outputMeter, c.nodes.limiter].forEach((n) => {
+      if (n && n.port) n.port.onmessage = null;
+    });
+    chains.delete(c.media);
+    if (!chains.size) {
+      clearInterval(metering);
+      metering = null;
+    }
+    reportStatus();
+    console.log(`[YT Normalizer] Released: ${c.label}.`);
+  }
+
+  // ─── Channel stage ─────────────────────────────────────────
+  // Swap, mono downmix, width and balance as one 2 × 2 matrix of
+  // gains (lib/channels.js), always in the path: at the default
+  // settings it passes L and R through. Two analysers on the source
+  // channels feed the level and correlation meter.
+  //
+  //  L' = gains[0][0]·L + gains[0][1]·R
+  //  R' = gains[1][0]·L + gains[1][1]·R
+  //
+  function createChannelStage() {
+    const input    = audioCtx.createGain();
+    const splitter = audioCtx.createChannelSplitter(2);
+    const output   = audioCtx.createChannelMerger(2);
+    const gains    = [[audioCtx.createGain(), audioCtx.createGain()],
+                      [audioCtx.createGain(), audioCtx.createGain()]];
+    const analysers = [audioCtx.createAnalyser(), audioCtx.createAnalyser()];
+
+    // Mono sources are up-mixed to identical channels
+    input.channelCount = 2;
+    input.channelCountMode = 'explicit';
+
+    input.connect(splitter);
+    gains.forEach((row, out) => row.forEach((g, from) => {
+      g.gain.value = out === from ? 1 : 0;
+      splitter.connect(g, from);
+      g.connect(output, 0, out);
+    }));
+    analysers.forEach((a, ch) => {
+      a.fftSize = 2048;
+      splitter.connect(a, ch);
+    });
+
+    return { input, output, gains, analysers, buffers: analysers.map((a) => new Float32Array(a.fftSize)) };
+  }
+
+  function applyChannelSettings(c) {
+    const stage = c.nodes.channels;
+    if (!stage) return;
+    const m = Channels.matrix(settings, c.levels.channels.inverted);
+    stage.gains.forEach((row, out) => row.forEach((g, from) => setParam(g.gain, m[out][from])));
+  }
+
+  // Once per tick; a phase-aware downmix follows the correlation
+  function meterChannels(c) {
+    const stage = c.nodes.channels;
+    stage.analysers.forEach((a, ch) => a.getFloatTimeDomainData(stage.buffers[ch]));
+    const before = c.levels.channels.inverted;
+    c.levels.channels = Channels.follow(c.levels.channels, Channels.analyse(...stage.buffers));
+    if (c.levels.channels.inverted !== before && settings.monoDownmix === 'phase') {
+      applyChannelSettings(c);
+    }
+  }
+
+  // ─── Multi-band compressor ─────────────────────────────────
+  // Linkwitz-Riley 4th-order crossovers: each slope is two cascaded
+  // Butterworth biquads. A band below a crossover also passes
+  // through that crossover's LR4 allpass (2nd-order, Q = 1/√2), so
+  // the summed bands stay phase-coherent and flat.
+  //
+  //  band 1: LP1 · AP2 · AP3      band 3: HP1 · HP2 · LP3
+  //  band 2: HP1 · LP2 · AP3      band 4: HP1 · HP2 · HP3
+  //
+  function createMultiband(count) {
+    const input   = audioCtx.createGain();
+    const output  = audioCtx.createGain();
+    const filters = [];   // { node, crossover } — frequency set later
+    const bands   = [];
+
+    const biquad = (type, crossover) => {
+      const f = audioCtx.createBiquadFilter();
+      f.type = type;
+      f.Q.value = type === 'allpass' ? Math.SQRT1_2 : BUTTERWORTH_Q_DB;
+      filters.push({ node: f, crossover });
+      return f;
+    };
+
+    for (let b = 0; b < count; b++) {
+      const chain = [];
+      for (let x = 0; x < count - 1; x++) {
+        if (x < b) chain.push(biquad('highpass', x), biquad('highpass', x));
+        else if (x === b) chain.push(biquad('lowpass', x), biquad('lowpass', x));
+        else chain.push(biquad('allpass', x));
+      }
+      const compressor = audioCtx.createDynamicsCompressor();
+      chain.push(compressor);
+
+      input.connect(chain[0]);
+      for (let i = 1; i < chain.length; i++) chain[i - 1].connect(chain[i]);
+      compressor.connect(output);
+      bands.push({ compressor });
+    }
+
+    return { input, output, filters, bands };
+  }
+
+  // Crossover frequencies in use, ascending regardless of entry order
+  function crossoverFrequencies(count) {
+    return [settings.crossover1, settings.crossover2, settings.crossover3]
+      .slice(0, count - 1)
+      .sort((a, b) => a - b);
+  }
+
+  function applyMultibandSettings(c) {
+    const mb = c.nodes.multiband;
+    if (!mb) return;
+    const freqs = crossoverFrequencies(mb.bands.length);
+    mb.filters.forEach(({ node, crossover }) => {
+      setParam(node.frequency, freqs[crossover]);
+    });
+    mb.bands.forEach(({ compressor }, i) => {
+      const { threshold, ratio } = compression(settings[`band${i + 1}Threshold`], settings[`band${i + 1}Ratio`]);
+      setParam(compressor.threshold, threshold);
+      setParam(compressor.ratio,     ratio);
+      setParam(compressor.knee,      settings.knee);
+      setParam(compressor.attack,    settings.attack / 1000);
+      setParam(compressor.release,   settings.release / 1000);
+    });
+  }
+
+  // The band network is rebuilt only when the band count changes
+  function ensureMultiband(c) {
+    const count = settings.bandCount;
+    if (c.nodes.multiband && c.nodes.multiband.bands.length === count) return c.nodes.multiband;
+    c.nodes.multiband = createMultiband(count);
+    applyMultibandSettings(c);
+    return c.nodes.multiband;
+  }
+
+  // ─── Dialogue stage ────────────────────────────────────────
+  // Mid/side matrix: voice is usually panned centre (mid) while
+  // music beds and ambience are spread wide (side). Mid is
+  // high-passed and given a presence lift, side is turned down.
+  //
+  //  mid  = ½(L + R) ──▸ highpass ──▸ presence
+  //  side = ½(L − R) ──▸ side level
+  //  L' = mid + side,  R' = mid − side
+  //
+  function createDialogueStage() {
+    const input    = audioCtx.createGain();
+    const splitter = audioCtx.createChannelSplitter(2);
+    const mid      = audioCtx.createGain();
+    const sideL    = audioCtx.createGain();
+    const sideR    = audioCtx.createGain();
+    const side     = audioCtx.createGain();
+    const sideInv  = audioCtx.createGain();
+    const highpass = audioCtx.createBiquadFilter();
+    const presence = audioCtx.createBiquadFilter();
+    const output   = audioCtx.createChannelMerger(2);
+
+    // Mono sources are up-mixed, so they land entirely in mid
+    input.channelCount = 2;
+    input.channelCountMode = 'explicit';
+
+    mid.gain.value     = 0.5;
+    sideL.gain.value   = 0.5;
+    sideR.gain.value   = -0.5;
+    sideInv.gain.value = -1;
+    highpass.type = 'highpass';
+    highpass.Q.value = BUTTERWORTH_Q_DB;
+    presence.type = 'peaking';
+    presence.Q.value = 1;
+
+    input.connect(splitter);
+    splitter.connect(mid, 0);
+    splitter.connect(mid, 1);
+    splitter.connect(sideL, 0);
+    splitter.connect(sideR, 1);
+    sideL.connect(side);
+    sideR.connect(side);
+    mid.connect(highpass);
+    highpass.connect(presence);
+    presence.connect(output, 0, 0);
+    presence.connect(output, 0, 1);
+    side.connect(output, 0, 0);
+    side.connect(sideInv);
+    sideInv.connect(output, 0, 1);
+
+    return { input, output, highpass, presence, side };
+  }
+
+  function applyDialogueSettings(c) {
+    const d = c.nodes.dialogue;
+    if (!d) return;
+    setParam(d.highpass.frequency, settings.dialogueHighpass);
+    setParam(d.presence.frequency, settings.dialoguePresenceFreq);
+    setParam(d.presence.gain,      settings.dialoguePresence);
+    setParam(d.side.gain,          dBtoLinear(settings.dialogueSideLevel));
+  }
+
+  // ─── Parametric EQ ─────────────────────────────────────────
+  // One biquad per band in series, each of a fixed type; bands that
+  // are off are set to pass everything (see lib/eq.js), so turning
+  // one on or off ramps like any other change.
+  function createEQ(bands) {
+    const input = audioCtx.createGain();
+    const filters = bands.map((band) => ({ band, node: audioCtx.createBiquadFilter() }));
+    let prev = input;
+    filters.forEach(({ node }) => {
+      prev.connect(node);
+      prev = node;
+    });
+    return { input, output: prev, filters };
+  }
+
+  function applyEQSettings(c) {
+    [c.nodes.preEQ, c.nodes.postEQ].forEach((stage) => {
+      if (!stage) return;
+      stage.filters.forEach(({ band, node }) => EQ.configure(node, band, settings, setParam));
+    });
+  }
+
+  // ─── Speech detection ──────────────────────────────────────
+  // A frame counts as speech when most of its energy sits in the
+  // voice band and that band's level swings at syllable rate;
+  // sustained music beds fail the second test. `s` is the chain's
+  // detector state; voiceLevels holds the last ~1 s of voice-band
+  // level in dB.
+  function detectSpeech(c) {
+    const analyser = c.nodes.speechAnalyser;
+    const s = c.speech;
+    if (!s.spectrum) s.spectrum = new Float32Array(analyser.frequencyBinCount);
+    analyser.getFloatFrequencyData(s.spectrum);
+
+    const binHz = audioCtx.sampleRate / analyser.fftSize;
+    let voice = 0;
+    let ref = 0;
+    for (let i = Math.ceil(SPEECH_REF_HZ[0] / binHz); i <= SPEECH_REF_HZ[1] / binHz; i++) {
+      const p = Math.pow(10, s.spectrum[i] / 10);
+      ref += p;
+      if (i * binHz >= SPEECH_BAND_HZ[0] && i * binHz <= SPEECH_BAND_HZ[1]) voice += p;
+    }
+    if (ref <= 0) {
+      s.voiceLevels = [];
+      s.hang = 0;
+      return false;
+    }
+
+    s.voiceLevels.push(10 * Math.log10(voice || 1e-12));
+    if (s.voiceLevels.length > 10) s.voiceLevels.shift();
+    const mean = s.voiceLevels.reduce((a, b) => a + b, 0) / s.voiceLevels.length;
+    const swing = Math.sqrt(s.voiceLevels.reduce((a, b) => a + (b - mean) ** 2, 0) / s.voiceLevels.length);
+
+    if (voice / ref >= SPEECH_RATIO_MIN && swing >= SPEECH_MOD_MIN_DB) {
+      s.hang = SPEECH_HANG_TICKS;
+    } else if (s.hang > 0) {
+      s.hang--;
+    }
+    return s.hang > 0;
+  }
+
+  // Energy-averaged momentary loudness over recent speech only
+  function trackSpeechLoudness(c, momentary) {
+    if (!Number.isFinite(momentary)) return;
+    const history = c.speechHistory;
+    history.push(Math.pow(10, momentary / 10));
+    if (history.length > SPEECH_WINDOW_TICKS) history.shift();
+    const mean = history.reduce((a, b) => a + b, 0) / history.length;
+    c.levels.speechLoudness = 10 * Math.log10(mean);
+  }
+
   // ─── Connection helpers ────────────────────────────────────
-  function disconnectAll() {
+  // Stage-internal wiring is permanent; only stage outputs are detached.
+  function disconnectAll(c) {
+    const { nodes } = c;
     Object.values(nodes).forEach((n) => {
+      if (!(n instanceof AudioNode)) return;
       try { n.disconnect(); } catch (_) { /* ignore */ }
     });
+    [nodes.channels, nodes.multiband, nodes.dialogue, nodes.preEQ, nodes.postEQ].forEach((stage) => {
+      if (stage) stage.output.disconnect();
+    });
+  }
+
+  function detach(from, to) {
+    try { from.disconnect(to); } catch (_) { /* was not connected */ }
   }
 
-  function connectProcessing() {
-    disconnectAll();
-    const { source, inputAnalyser, preGain, autoGain,
-            compressor, makeupGain, limiter, outputAnalyser } = nodes;
-    source.connect(inputAnalyser);
+  // Both paths stay connected for the life of the chain: `wet` is
+  // the processed output, `dry` the input. Turning processing on or
+  // off, and A/B, only crossfade between them.
+  function connectGraph(c) {
+    disconnectAll(c);
+    const { source, channels, inputAnalyser, outputAnalyser, matchGain, wet, dry } = c.nodes;
+    c.outputTap = null;   // see tapOutput, via crossfade
+    source.connect(channels.input);
+    channels.output.connect(inputAnalyser);
+    source.connect(matchGain);
+    matchGain.connect(dry);
+    dry.connect(audioCtx.destination);
+    outputAnalyser.connect(wet);
+    wet.connect(audioCtx.destination);
+    connectProcessing(c);
+    crossfade(c, 0);
+  }
+
+  // Wires inputAnalyser ──▸ … ──▸ outputAnalyser for the current routing
+  function connectProcessing(c) {
+    const { inputAnalyser, preGain, autoGain,
+            compressor, makeupGain, limiter, outputAnalyser,
+            inputMeter, speechAnalyser, dialogue,
+            preEQ, postEQ, multiband } = c.nodes;
+    [inputAnalyser, autoGain, compressor, makeupGain, limiter].forEach((n) => n.disconnect());
+    [multiband, dialogue, preEQ, postEQ].forEach((stage) => {
+      if (stage) stage.output.disconnect();
+    });
     inputAnalyser.connect(preGain);
     preGain.connect(autoGain);
-    autoGain.connect(compressor);
-    compressor.connect(makeupGain);
-    makeupGain.connect(limiter);
+    let dynamicsIn = autoGain;
+    if (settings.dialogue) {
+      autoGain.connect(dialogue.input);
+      dynamicsIn = dialogue.output;
+      inputAnalyser.connect(speechAnalyser);
+    }
+    if (settings.eq) {
+      dynamicsIn.connect(preEQ.input);
+      dynamicsIn = preEQ.output;
+    }
+    if (settings.multiband) {
+      const mb = ensureMultiband(c);
+      dynamicsIn.connect(mb.input);
+      mb.output.connect(makeupGain);
+    } else {
+      dynamicsIn.connect(compressor);
+      compressor.connect(makeupGain);
+    }
+    if (settings.eq && settings.eqPost) {
+      makeupGain.connect(postEQ.input);
+      postEQ.output.connect(limiter);
+    } else {
+      makeupGain.connect(limiter);
+    }
     limiter.connect(outputAnalyser);
-    outputAnalyser.connect(audioCtx.destination);
+    if (inputMeter) inputAnalyser.connect(inputMeter);
+    c.routing = routingKey();
+  }
+
+  // Settings that change how the processing path is wired
+  function routingKey() {
+    return [settings.multiband, settings.bandCount,
+            settings.dialogue, settings.eq, settings.eqPost].join('|');
+  }
+
+  // Chains whose processing path is wired for other settings are
+  // rewired; all fade to the path that should be heard.
+  function reconnect() {
+    const key = routingKey();
+    chains.forEach((c) => {
+      if (!c.nodes.source) return;
+      if (c.routing !== key) rewire(c); else crossfade(c);
+    });
+  }
+
+  // The processed path is faded out while it is rewired and faded
+  // back in afterwards, so toggling a stage does not click
+  function rewire(c) {
+    const ms = settings.smoothing;
+    clearTimeout(c.rewireTimer);
+    if (!ms || c.nodes.wet.gain.value === 0) {
+      c.rewireTimer = null;
+      connectProcessing(c);
+      crossfade(c);
+      return;
+    }
+    c.rewireTimer = setTimeout(() => {
+      c.rewireTimer = null;
+      if (chains.get(c.media) !== c) return;
+      connectProcessing(c);
+      crossfade(c);
+    }, ms);
+    crossfade(c);
+  }
+
+  // Linear ramp from wherever the parameter is now
+  function ramp(param, value, seconds) {
+    const t = audioCtx.currentTime;
+    param.cancelScheduledValues(t);
+    param.setValueAtTime(seconds ? param.value : value, t);
+    if (seconds) param.linearRampToValueAtTime(value, t + seconds);
+  }
+
+  // Parameter changes approach their value over the smoothing time
+  // instead of jumping, so dragging a slider does not zipper
+  function setParam(param, value) {
+    const seconds = settings.smoothing / 1000;
+    const t = audioCtx.currentTime;
+    if (!seconds) {
+      param.cancelScheduledValues(t);
+      param.setValueAtTime(value, t);
+      return;
+    }
+    param.setTargetAtTime(value, t, seconds / 3);   // ~95 % after 3 time constants
+  }
+
+  // Output meters follow what is heard: the processed path, or the
+  // input while processing is off. A/B keeps them on the processed
+  // path, which the bypass is matched to. Meters are silent, so the
+  // tap may move without a fade.
+  function tapOutput(c) {
+    const { source, outputAnalyser, outputMeter } = c.nodes;
+    const tap = settings.enabled ? outputAnalyser : source;
+    if (!outputMeter || c.outputTap === tap) return;
+    if (c.outputTap) detach(c.outputTap, outputMeter);
+    tap.connect(outputMeter);
+    c.outputTap = tap;
+  }
+
+  // ─── A/B comparison ────────────────────────────────────────
+  // A is the processed output, B the input played at the output's
+  // loudness, so neither wins by being louder. Switching sides is a
+  // crossfade between the wet and dry paths (see connectGraph). In
+  // blind mode the sides are called 1 and 2 and mapped at random;
+  // the mapping is only revealed when the comparison stops.
+  function heardPath() {
+    if (abState) return abState.path;
+    return compareTimer ? 'dry' : 'wet';
+  }
+
+  function crossfade(c, seconds = settings.smoothing / 1000) {
+    const { wet, dry, matchGain } = c.nodes;
+    const path = settings.enabled ? heardPath() : 'dry';
+    ramp(wet.gain, path === 'wet' && !c.rewireTimer ? 1 : 0, seconds);
+    ramp(dry.gain, path === 'dry' ? 1 : 0, seconds);
+    // The input is only level-matched while processing, for comparing
+    ramp(matchGain.gain, settings.enabled ? dBtoLinear(c.matchGain) : 1, seconds);
+    tapOutput(c);
+  }
+
+  function crossfadeAll() {
+    chains.forEach((c) => { if (c.nodes.source) crossfade(c); });
+  }
+
+  // Follows the difference between output and input short-term
+  // loudness; holds through silence
+  function updateMatchGain(c) {
+    const { input, output } = c.levels;
+    if (!settings.enabled || c.preAnalysis) return;
+    if (!(input.shortTerm > AGC_GATE_LUFS && output.shortTerm > AGC_GATE_LUFS)) return;
+    const diff = Math.max(-AB_MATCH_RANGE, Math.min(AB_MATCH_RANGE, output.shortTerm - input.shortTerm));
+    c.matchGain += (diff - c.matchGain) * 0.1;
+    c.nodes.matchGain.gain.setTargetAtTime(dBtoLinear(c.matchGain), audioCtx.currentTime, 0.3);
+  }
+
+  const abLabels = () => (abState.blind ? ['1', '2'] : ['A', 'B']);
+
+  // Label of a path, and the path behind a label
+  function abLabel(path) {
+    return abLabels()[(path === 'dry') !== abState.flipped ? 1 : 0];
   }
 
-  function connectBypass() {
-    disconnectAll();
-    nodes.source.connect(audioCtx.destination);
+  function abPathOf(label) {
+    const i = abLabels().indexOf(label);
+    if (i < 0) return null;
+    return (i === 1) !== abState.flipped ? 'dry' : 'wet';
+  }
+
+  function startAB(blind) {
+    if (!settings.enabled) throw Protocol.error('failed', 'Turn the normalizer on to compare');
+    endCompare();
+    const flipped = !!blind && Math.random() < 0.5;
+    abState = { blind: !!blind, flipped, path: flipped ? 'dry' : 'wet' };
+    crossfadeAll();
+  }
+
+  function selectAB(label) {
+    const path = abState && abPathOf(label);
+    if (!path) throw Protocol.error('badRequest', `No A/B side "${label}"`);
+    abState.path = path;
+    crossfadeAll();
+  }
+
+  // Returns the blind mapping, if there was one
+  function stopAB() {
+    if (!abState) return null;
+    const reveal = abState.blind
+      ? { [abLabel('wet')]: 'processed', [abLabel('dry')]: 'bypass' }
+      : null;
+    abState = null;
+    crossfadeAll();
+    return reveal;
+  }
+
+  // For the popup; nothing here gives a blind side away
+  function abSnapshot(c) {
+    if (!abState) return null;
+    return {
+      blind: abState.blind,
+      labels: abLabels(),
+      heard: abLabel(abState.path),
+      matchGain: abState.blind || !c ? null : round1(c.matchGain)
+    };
   }
 
   // ─── Apply current settings to audio nodes ─────────────────
   function applySettingsToNodes() {
+    chains.forEach(applyChainSettings);
+  }
+
+  function applyChainSettings(c) {
+    const { nodes } = c;
     if (!nodes.compressor) return;
 
-    const c = nodes.compressor;
-    c.threshold.value = settings.threshold;
-    c.ratio.value     = settings.ratio;
-    c.knee.value      = settings.knee;
-    c.attack.value    = settings.attack / 1000;   // ms → s
-    c.release.value   = settings.release / 1000;   // ms → s
+    const comp = nodes.compressor;
+    const { threshold, ratio } = compression(settings.threshold, settings.ratio);
+    setParam(comp.threshold, threshold);
+    setParam(comp.ratio,     ratio);
+    setParam(comp.knee,      settings.knee);
+    setParam(comp.attack,    settings.attack / 1000);   // ms → s
+    setParam(comp.release,   settings.release / 1000);  // ms → s
 
-    nodes.makeupGain.gain.value = dBtoLinear(settings.makeupGain);
-    nodes.preGain.gain.value    = dBtoLinear(settings.preGain);
-    nodes.limiter.threshold.value = settings.limiterThreshold;
+    setParam(nodes.makeupGain.gain, dBtoLinear(settings.makeupGain));
+    setParam(nodes.preGain.gain,    dBtoLinear(settings.preGain));
+    applyChannelSettings(c);
+    applyMultibandSettings(c);
+    applyDialogueSettings(c);
+    applyEQSettings(c);
+    applyLimiterSettings(c);
 
     if (!settings.autoGain) {
-      autoGainValue = 0;
+      c.preAnalysis = null;
+      c.autoGainValue = 0;
       nodes.autoGain.gain.setTargetAtTime(1, audioCtx.currentTime, 0.05);
     }
+    if (c.adState && settings.adFixedGain) setAutoGain(c, settings.adGain);
+    if (c.autoGainValue > maxGain()) setAutoGain(c, c.autoGainValue);
+  }
+
+  function applyLimiterSettings(c) {
+    const l = c.nodes.limiter;
+    if (l instanceof AudioWorkletNode) {
+      setParam(l.parameters.get('ceiling'), ceiling());
+      setParam(l.parameters.get('release'), settings.limiterRelease);
+      // No-op in the processor unless the window actually changed
+      l.port.postMessage({ type: 'configure', lookahead: settings.limiterLookahead });
+    } else {
+      setParam(l.threshold, ceiling());
+    }
+  }
+
+  // ─── Night mode ────────────────────────────────────────────
+  // On by hand (nightMode) or by the schedule the service worker
+  // runs. Compression is at least as strong as the night values,
+  // the ceiling drops and positive auto-gain is capped.
+  const nightActive = () => settings.nightMode || nightScheduled;
+
+  function compression(threshold, ratio) {
+    return nightActive() ? Night.compression(settings, threshold, ratio) : { threshold, ratio };
+  }
+
+  const ceiling = () => (nightActive() ? Night.ceiling(settings) : settings.limiterThreshold);
+  const maxGain = () => (nightActive() ? settings.nightMaxGain : Gain.RANGE_DB);
+
+  function loadNightState() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(NIGHT_KEY, (res) => {
+        nightScheduled = !!res[NIGHT_KEY];
+        resolve();
+      });
+    });
+  }
+
+  // Pushed by the service worker when the schedule switches
+  function setNightScheduled(active) {
+    if (active === nightScheduled) return;
+    const before = nightActive();
+    nightScheduled = active;
+    if (nightActive() === before) return;
+    applySettingsToNodes();
+    broadcastSettings();
+    if (chains.size && window === window.top) showToast(`Night mode ${active ? 'on' : 'off'} (schedule)`);
   }
 
   // ─── Metering + Auto-Gain loop ─────────────────────────────
+  // Loudness values arrive asynchronously from the meter worklets;
+  // this loop only samples compressor reduction and drives AGC, for
+  // every chain in turn.
   function startMetering() {
-    if (metering) clearInterval(metering);
-    rmsHistory = [];
-    autoGainValue = 0;
-
+    if (metering) return;
     metering = setInterval(() => {
-      if (!audioCtx || !nodes.inputAnalyser) return;
-
-      // --- input level ---
-      const inBuf = new Float32Array(nodes.inputAnalyser.fftSize);
-      nodes.inputAnalyser.getFloatTimeDomainData(inBuf);
-      const inRMS = calcRMS(inBuf);
-      levels.inputRMS = linearToDB(inRMS);
+      chains.forEach(meterChain);
+      reportStatus();
+    }, 100);
+  }
 
-      // --- output level ---
-      const outBuf = new Float32Array(nodes.outputAnalyser.fftSize);
-      nodes.outputAnalyser.getFloatTimeDomainData(outBuf);
-      const outRMS = calcRMS(outBuf);
-      levels.outputRMS = linearToDB(outRMS);
+  function meterChain(c) {
+    const { nodes, levels } = c;
+    if (!audioCtx || !nodes.compressor) return;
 
-      // --- compressor reduction ---
+    // --- compressor reduction ---
+    if (settings.multiband && nodes.multiband) {
+      levels.bandReduction = nodes.multiband.bands.map((b) => b.compressor.reduction);
+      levels.reduction = Math.min(...levels.bandReduction);
+    } else {
+      levels.bandReduction = [];
       levels.reduction = nodes.compressor.reduction;  // negative dB
+    }
 
-      // --- Auto-Gain Control ---
-      if (settings.enabled && settings.autoGain && inRMS > 0.0005) {
-        rmsHistory.push(levels.inputRMS);
-        if (rmsHistory.length > RMS_HISTORY_LEN) rmsHistory.shift();
-
-        const avgDB = rmsHistory.reduce((a, b) => a + b, 0) / rmsHistory.length;
-        const desired = settings.targetLevel - avgDB;
-        // Smoothly approach desired gain, clamp range
-        autoGainValue += (desired - autoGainValue) * 0.08;
-        autoGainValue = Math.max(-24, Math.min(24, autoGainValue));
-
-        nodes.autoGain.gain.setTargetAtTime(
-          dBtoLinear(autoGainValue),
-          audioCtx.currentTime,
-          0.3
-        );
+    meterChannels(c);
+    recordHistory(c);
+    updateMatchGain(c);
+    if (++c.ticks % MEMORY_SAVE_TICKS === 0) {
+      rememberLoudness(c);
+      if (c.session) {
+        describeSession(c);
+        saveStats(c);
       }
-    }, 100);
+    }
+    updateAdState(c);
+    if (c.session && settings.enabled && !c.adState && !c.media.paused) {
+      Stats.tick(c.session, levels, c.autoGainValue);
+    }
+
+    // --- Speech activity (dialogue mode) ---
+    const input = levels.input;
+    const dialogueActive = settings.enabled && settings.dialogue;
+    levels.speech = dialogueActive && !c.adState &&
+                    input.momentary > AGC_GATE_LUFS && detectSpeech(c);
+    if (levels.speech) trackSpeechLoudness(c, input.momentary);
+
+    // --- Auto-Gain Control ---
+    // Which measurement the gain follows is decided in lib/gain.js;
+    // speech gating starts once enough speech has been heard.
+    if (c.preAnalysis) {
+      tickPreAnalysis(c, input);
+      return;
+    }
+    if (c.adState) {
+      if (!settings.adFixedGain && settings.autoGain && input.momentary > AGC_GATE_LUFS) {
+        followLoudness(c, input.shortTerm);
+      }
+      return;
+    }
+    if (settings.enabled && settings.autoGain) {
+      const { measured, source } = Gain.measurement({
+        input,
+        source: c.gainSource,
+        speechGated: dialogueActive && settings.dialogueSpeechAGC &&
+                     c.speechHistory.length >= SPEECH_MIN_TICKS,
+        speech: levels.speech,
+        speechLoudness: levels.speechLoudness
+      });
+      c.gainSource = source;
+      if (measured !== null) followLoudness(c, measured);
+    }
+  }
+
+  // ─── Level history & spectrum ─────────────────────────────
+  // The history lives here, not in the popup, so the graph survives
+  // the popup being closed. Values are rounded to keep replies small.
+  const round1 = (v) => Math.round(v * 10) / 10;
+
+  function recordHistory(c) {
+    const { levels } = c;
+    c.history.push([round1(levels.input.momentary), round1(levels.output.momentary),
+                    round1(levels.reduction), round1(c.autoGainValue)]);
+    if (c.history.length > HISTORY_SIZE) c.history.shift();
+    c.historySeq++;
+  }
+
+  // Samples recorded after sequence number `since`
+  function historySince(c, since) {
+    const n = Math.min(c.history.length, Math.max(0, c.historySeq - since));
+    return { seq: c.historySeq, samples: c.history.slice(c.history.length - n) };
   }
 
-  // ─── Find the <video> element ──────────────────────────────
-  function findVideo() {
+  // Input and output spectra, peak dB per log-spaced band
+  function readSpectrum(c) {
+    const result = {};
+    // Bypassed, what is heard is the input
+    const output = settings.enabled ? c.nodes.outputAnalyser : c.nodes.inputAnalyser;
+    [['input', c.nodes.inputAnalyser], ['output', output]].forEach(([key, analyser]) => {
+      const bins = new Float32Array(analyser.frequencyBinCount);
+      analyser.getFloatFrequencyData(bins);
+      const binHz = audioCtx.sampleRate / analyser.fftSize;
+      const ratio = SPECTRUM_HZ[1] / SPECTRUM_HZ[0];
+      result[key] = [];
+      for (let b = 0; b < SPECTRUM_BANDS; b++) {
+        const lo = Math.floor(SPECTRUM_HZ[0] * Math.pow(ratio, b / SPECTRUM_BANDS) / binHz);
+        const hi = Math.ceil(SPECTRUM_HZ[0] * Math.pow(ratio, (b + 1) / SPECTRUM_BANDS) / binHz);
+        let peak = -Infinity;
+        for (let i = lo; i <= Math.min(hi, bins.length - 1); i++) peak = Math.max(peak, bins[i]);
+        result[key].push(Math.round(peak));
+      }
+    });
+    return result;
+  }
+
+  // One AGC step towards bringing `measured` loudness to target
+  function followLoudness(c, measured) {
+    if (!Number.isFinite(measured)) return;
+
+    c.autoGainValue = Gain.step(c.autoGainValue, measured, settings.targetLevel, maxGain());
+
+    c.nodes.autoGain.gain.setTargetAtTime(
+      dBtoLinear(c.autoGainValue),
+      audioCtx.currentTime,
+      0.3
+    );
+  }
+
+  // ─── Find media elements ───────────────────────────────────
+  // The main player carries the programme; Shorts play in their
+  // own player while the watch player may still exist hidden.
+  function findMainVideo() {
     return (
+      (location.pathname.startsWith('/shorts/') && document.querySelector('#shorts-player video')) ||
       document.querySelector('#movie_player video') ||
       document.querySelector('ytmusic-player video') ||
-      document.querySelector('video.html5-main-video') ||
-      document.querySelector('video')
+      document.querySelector('video.html5-main-video')
     );
   }
 
+  // The main player is wired as soon as it can play; any other
+  // element (previews, inline playback) only once it is playing.
   function tryAttach() {
-    const video = findVideo();
-    if (!video || video === currentVideo) return;
-    if (video.readyState >= 2) {
-      buildGraph(video);
-    } else {
-      video.addEventListener('canplay', () => buildGraph(video), { once: true });
-    }
+    const main = findMainVideo();
+    document.querySelectorAll('video, audio').forEach((media) => {
+      if (chains.has(media)) return;
+      // An element that had a chain is silent without one
+      const ready = media.readyState >= 2 && (media === main || !media.paused);
+      if (mediaSources.has(media) || ready) {
+        buildGraph(media);
+      } else if (media === main && !waiting.has(media)) {
+        waiting.add(media);
+        media.addEventListener('canplay', () => {
+          waiting.delete(media);
+          buildGraph(media);
+        }, { once: true });
+      }
+    });
+    updateChains(main);
+  }
+
+  // Chains follow their elements. One that has left the DOM for
+  // longer than DETACH_GRACE_MS is released; the main role moves
+  // with the main player.
+  function updateChains(main) {
+    const now = Date.now();
+    chains.forEach((c) => {
+      if (!c.media.isConnected) {
+        if (!c.detachedAt) c.detachedAt = now;
+        else if (now - c.detachedAt > DETACH_GRACE_MS) destroyChain(c);
+        return;
+      }
+      c.detachedAt = 0;
+      c.label = describeMedia(c.media);
+      const wasMain = c.main;
+      c.main = c.media === main;
+      if (c.main && !wasMain && c.nodes.source) checkVideoChange();
+    });
   }
 
   // ─── Observe DOM for SPA navigation ───────────────────────
   function observe() {
     // YouTube fires this custom event on navigation
     document.addEventListener('yt-navigate-finish', tryAttach);
+    document.addEventListener('yt-navigate-finish', checkVideoChange);
+    document.addEventListener('yt-navigate-finish', scheduleProfileRefresh);
     window.addEventListener('popstate', tryAttach);
+    window.addEventListener('pagehide', () => chains.forEach((c) => {
+      rememberLoudness(c);
+      saveStats(c, true);
+    }));
+    // Media events do not bubble, but capture reaches the document
+    document.addEventListener('playing', tryAttach, true);
+    if (isMusic()) watchMusicTracks();
 
-    // Fallback: MutationObserver + polling
-    const mo = new MutationObserver(() => tryAttach());
+    // Fallback: MutationObserver + polling. YouTube mutates the page
+    // constantly, so mutations are looked at once per frame at most;
+    // hidden tabs get no frames and fall back on the poll.
+    let attachFrame = 0;
+    const mo = new MutationObserver(() => {
+      if (attachFrame) return;
+      attachFrame = requestAnimationFrame(() => {
+        attachFrame = 0;
+        tryAttach();
+      });
+    });
     mo.observe(document.documentElement, { childList: true, subtree: true });
     setInterval(tryAttach, 3000);
   }
@@ -293,71 +1595,371 @@
     document.addEventListener('keydown', resume, { once: false });
   }
 
-  // ─── Message handling (popup ↔ content) ───────────────────
-  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  // ─── State snapshots ───────────────────────────────────────
+  // `view` holds what a view asked for: the chain to show (`source`),
+  // whether to include the spectrum, and how much history it has.
+  function buildState(view) {
+    const c = displayChain(view.source);
+    let history = null;
+    if (c) {
+      // Only new samples, unless the view's copy is of another chain
+      if (view.historyFor !== c.id) {
+        view.historyFor = c.id;
+        view.historySeq = 0;
+      }
+      history = historySince(c, view.historySeq);
+      view.historySeq = history.seq;
+    }
+    return {
+      instance: INSTANCE,
+      top: window === window.top,
+      levels: c ? c.levels : emptyLevels(),
+      autoGainValue: c ? c.autoGainValue : 0,
+      gainSource: c ? c.gainSource : 'live',
+      ad: !!(c && c.adState),
+      ab: abSnapshot(c),
+      night: { active: nightActive(), scheduled: nightScheduled },
+      videoId: c ? c.videoId : null,
+      source: c ? c.id : null,
+      sources: listSources(),
+      history,
+      spectrum: c && view.spectrum ? readSpectrum(c) : null,
+      track: isMusic() ? getMusicTrack() : null,
+      profile: activeProfile,
+      channel: getChannel(),
+      isActive: !!(audioCtx && c),
+      contextState: audioCtx ? audioCtx.state : 'none'
+    };
+  }
+
+  function newView(options) {
+    return { source: null, spectrum: false, historyFor: null, historySeq: 0, ...options };
+  }
+
+  // ─── Requests ──────────────────────────────────────────────
+  // Shared by port requests and one-shot messages. Resolves with the
+  // reply data or rejects with a protocol error.
+  async function handleRequest(msg, origin) {
+    Protocol.check(msg);
     switch (msg.type) {
+      case 'hello':
+      case 'subscribe':
+        if (!origin) throw Protocol.error('badRequest', `"${msg.type}" needs a port`);
+        subscribe(origin, msg);
+        return msg.type === 'hello'
+          ? { interval: origin.interval, instance: INSTANCE, settings, profile: activeProfile }
+          : { interval: origin.interval };
+
       case 'getState':
-        sendResponse({
-          settings,
-          levels,
-          autoGainValue,
-          isActive: !!(audioCtx && nodes.source),
-          contextState: audioCtx ? audioCtx.state : 'none'
-        });
-        break;
+        return { settings, state: buildState(newView({ source: msg.source, spectrum: !!msg.spectrum })) };
 
-      case 'updateSettings': {
-        const incoming = msg.settings;
-        // If a preset was selected, merge preset values
-        if (incoming.preset && incoming.preset !== 'custom' && PRESETS[incoming.preset]) {
-          Object.assign(settings, incoming, PRESETS[incoming.preset]);
-        } else {
-          Object.assign(settings, incoming);
-          if (incoming.preset !== settings.preset) settings.preset = 'custom';
+      case 'updateSettings':
+        if (!msg.settings || typeof msg.settings !== 'object') throw Protocol.error('badRequest');
+        updateSettings(msg.settings, origin);
+        return { settings };
+
+      case 'applyPreset':
+        if (!(await applyPreset(msg.preset, origin))) {
+          throw Protocol.error('notFound', `Preset "${msg.preset}" not found`);
         }
+        return { settings };
+
+      case 'command':
+        return runCommand(msg.command);
+
+      case 'abStart':
+        startAB(msg.blind);
+        return { ab: abSnapshot(mainChain()) };
+
+      case 'abSelect':
+        selectAB(msg.side);
+        return { ab: abSnapshot(mainChain()) };
+
+      case 'abStop':
+        return { ab: null, reveal: stopAB() };
+
+      case 'resetSettings':
+        settings = { ...DEFAULT_SETTINGS };
         saveSettings();
         applySettingsToNodes();
+        reconnect();
+        broadcastSettings(origin);
+        return { settings };
 
-        if (typeof incoming.enabled !== 'undefined') {
-          if (incoming.enabled) connectProcessing(); else connectBypass();
+      case 'saveProfile':
+        if (!(await saveProfile(msg.scope))) {
+          throw Protocol.error('notFound', `Nothing to save a ${msg.scope} profile for`);
         }
+        broadcastSettings(origin);
+        return { profile: activeProfile };
 
-        sendResponse({ success: true, settings });
-        break;
+      case 'removeProfile':
+        await removeProfile();
+        return { profile: activeProfile, settings };
+
+      case 'forgetVideo': {
+        const c = mainChain();
+        if (!c || !c.videoId) throw Protocol.error('notFound', 'No video to forget');
+        await forgetVideo(c);
+        return { gainSource: c.gainSource };
       }
 
-      case 'applyPreset': {
-        const p = PRESETS[msg.preset];
-        if (p) {
-          Object.assign(settings, p, { preset: msg.preset, enabled: true });
-          saveSettings();
-          applySettingsToNodes();
-          connectProcessing();
-        }
-        sendResponse({ success: true, settings });
+      default:
+        throw Protocol.error('unknownType', `Unknown message type "${msg.type}"`);
+    }
+  }
+
+  // ─── Settings changes ──────────────────────────────────────
+  // `origin` is the view that asked, which gets the settings in its
+  // reply rather than a broadcast.
+  function updateSettings(values, origin) {
+    const incoming = Settings.sanitize(values);
+    const routing = routingKey();
+    const wasEnabled = settings.enabled;
+    Object.assign(settings, Presets.applyUpdate(settings, incoming));
+    saveSettings();
+    applySettingsToNodes();
+
+    if (!settings.enabled) stopAB();
+    if (routingKey() !== routing || settings.enabled !== wasEnabled) reconnect();
+    // Switching track / album mode changes what the programme is
+    checkVideoChange();
+    broadcastSettings(origin);
+  }
+
+  // User presets are read from storage; resolves false if unknown
+  async function applyPreset(id, origin) {
+    const p = await Presets.get(id);
+    if (!p) return false;
+    Object.assign(settings, p.settings, { preset: id, enabled: true });
+    saveSettings();
+    applySettingsToNodes();
+    reconnect();
+    broadcastSettings(origin);
+    return true;
+  }
+
+  // ─── Keyboard commands ─────────────────────────────────────
+  // Forwarded by the service worker from the manifest `commands`;
+  // each ends with a toast, since the popup is usually closed.
+  async function runCommand(command) {
+    const step = Settings.FIELDS.targetLevel.step;
+    switch (command) {
+      case 'toggle-enabled':
+        updateSettings({ enabled: !settings.enabled }, null);
+        break;
+      case 'cycle-preset': {
+        // Custom moves on to the first preset
+        const ids = (await Presets.list()).map((p) => p.id);
+        await applyPreset(ids[(ids.indexOf(settings.preset) + 1) % ids.length], null);
         break;
       }
-
-      case 'resetSettings':
-        settings = { ...DEFAULT_SETTINGS };
-        saveSettings();
-        applySettingsToNodes();
-        if (settings.enabled) connectProcessing(); else connectBypass();
-        sendResponse({ success: true, settings });
+      case 'target-up':
+      case 'target-down':
+        updateSettings({
+          targetLevel: settings.targetLevel + (command === 'target-up' ? step : -step)
+        }, null);
         break;
-
+      case 'compare':
+        showToast(await compareCommand());
+        return { settings };
       default:
-        sendResponse({ error: 'unknown message type' });
+        throw Protocol.error('badRequest', `Unknown command "${command}"`);
+    }
+    showToast(await describeSettings());
+    return { settings };
+  }
+
+  // e.g. "Normalizer: Heavy, −11 LUFS"
+  async function describeSettings() {
+    if (!settings.enabled) return 'Normalizer: off';
+    const name = await presetName(settings.preset);
+    const night = nightActive() ? ', night' : '';
+    return `Normalizer: ${name}, ${Settings.format('targetLevel', settings.targetLevel).replace('-', '−')}${night}`;
+  }
+
+  // User preset names come from storage; the last one is kept
+  let presetNameCache = { id: null, name: '' };
+  async function presetName(id) {
+    if (id === 'custom') return 'Custom';
+    if (presetNameCache.id !== id) {
+      const p = await Presets.get(id);
+      presetNameCache = { id, name: p ? p.name : 'Custom' };
+    }
+    return presetNameCache.name;
+  }
+
+  // Switches sides while an A/B comparison runs; otherwise plays the
+  // level-matched input for COMPARE_MS, or until pressed again.
+  async function compareCommand() {
+    if (!settings.enabled) return 'Normalizer: off';
+    if (abState) {
+      selectAB(abLabel(abState.path === 'wet' ? 'dry' : 'wet'));
+      return `Normalizer: A/B · ${abLabel(abState.path)}`;
+    }
+    if (compareTimer) {
+      endCompare();
+      return describeSettings();
+    }
+    compareTimer = setTimeout(() => {
+      endCompare();
+      describeSettings().then(showToast);
+    }, COMPARE_MS);
+    crossfadeAll();
+    return 'Normalizer: bypass, level-matched';
+  }
+
+  function endCompare() {
+    if (!compareTimer) return;
+    clearTimeout(compareTimer);
+    compareTimer = null;
+    crossfadeAll();
+  }
+
+  // ─── On-page toast ─────────────────────────────────────────
+  // Shadow DOM keeps page styles out; the toast is moved into the
+  // fullscreen element when there is one, or it would not be seen.
+  const TOAST_STYLE = `
+    .toast {
+      position: fixed; top: 12%; left: 50%; z-index: 2147483647;
+      transform: translateX(-50%);
+      padding: 8px 14px; border-radius: 8px;
+      background: rgba(15, 15, 15, .88); color: #e8e8e8;
+      font: 600 14px Roboto, Arial, sans-serif;
+      pointer-events: none; opacity: 0; transition: opacity .2s;
+    }
+    .toast.show { opacity: 1; }`;
+  let toast = null;   // { host, el, timer }
+
+  function showToast(text) {
+    if (!toast) {
+      const host = document.createElement('div');
+      const shadow = host.attachShadow({ mode: 'closed' });
+      const style = document.createElement('style');
+      const el = document.createElement('div');
+      style.textContent = TOAST_STYLE;
+      el.className = 'toast';
+      shadow.append(style, el);
+      toast = { host, el, timer: null };
+    }
+    const parent = document.fullscreenElement || document.body;
+    if (toast.host.parentNode !== parent) parent.appendChild(toast.host);
+    toast.el.textContent = text;
+    toast.el.classList.add('show');
+    clearTimeout(toast.timer);
+    toast.timer = setTimeout(() => toast.el.classList.remove('show'), TOAST_MS);
+  }
+
+  // Subframes without media (chat, embeds that never played) leave
+  // the tab's views to the frames that have something to show.
+  const isIdleSubframe = () => window !== window.top && !chains.size;
+
+  // One-shot messages, e.g. from the service worker. The night
+  // schedule reaches every frame, players or not.
+  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+    if (msg && msg.v === Protocol.VERSION && msg.type === 'night') {
+      setNightScheduled(!!msg.active);
+      return false;
+    }
+    if (msg && msg.v === Protocol.VERSION && msg.type === 'report') {
+      // The service worker has forgotten this tab
+      reported = null;
+      reportStatus();
+      return false;
     }
+    if (isIdleSubframe()) return false;
+    const id = msg && msg.id;
+    handleRequest(msg, null).then(
+      (data) => sendResponse(Protocol.reply(id, data)),
+      (e) => sendResponse(Protocol.errorReply(id, e)));
     return true; // keep channel open for async sendResponse
   });
 
+  // ─── Ports (popup ↔ content) ──────────────────────────────
+  // Each open view holds a port; state is pushed at the interval it
+  // negotiated and settings are broadcast to every view as they change.
+  function post(view, msg) {
+    try {
+      view.port.postMessage(msg);
+    } catch (_) { /* port already closed */ }
+  }
+
+  function subscribe(view, msg) {
+    if ('interval' in msg) view.interval = Protocol.negotiateInterval(msg.interval);
+    if ('source' in msg) view.source = msg.source;
+    if ('spectrum' in msg) view.spectrum = !!msg.spectrum;
+    clearInterval(view.timer);
+    view.timer = setInterval(() => {
+      post(view, Protocol.push('state', { state: buildState(view) }));
+    }, view.interval);
+  }
+
+  // The view that made a change already has the settings in its reply
+  function broadcastSettings(except) {
+    views.forEach((view) => {
+      if (view !== except) post(view, Protocol.push('settings', { settings, profile: activeProfile }));
+    });
+    reportStatus();
+  }
+
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== Protocol.PORT_NAME) return;
+    if (isIdleSubframe()) {
+      port.disconnect();
+      return;
+    }
+    const view = newView({ port, interval: Protocol.INTERVAL.default, timer: null });
+    views.add(view);
+    port.onMessage.addListener((msg) => {
+      const id = msg && msg.id;
+      handleRequest(msg, view).then(
+        (data) => { if (id) post(view, Protocol.reply(id, data)); },
+        (e) => { if (id) post(view, Protocol.errorReply(id, e)); });
+    });
+    port.onDisconnect.addListener(() => {
+      clearInterval(view.timer);
+      views.delete(view);
+    });
+  });
+
+  // ─── Toolbar status ────────────────────────────────────────
+  // The service worker draws the toolbar badge from these reports,
+  // sent only when something it shows changes, or when it asks.
+  // Subframes that never had a player stay quiet.
+  let reported = null;
+
+  async function reportStatus() {
+    const c = displayChain(null);
+    if (!c && reported === null && window !== window.top) return;
+    const status = {
+      top: window === window.top,
+      active: !!c,
+      enabled: settings.enabled,
+      preset: settings.preset,
+      presetName: await presetName(settings.preset),
+      autoGain: c && settings.autoGain ? Math.round(c.autoGainValue) : 0,
+      source: c ? c.label : null,
+      title: document.title,
+      badge: settings.badge,
+      night: nightActive()
+    };
+    const key = JSON.stringify(status);
+    if (key === reported) return;
+    reported = key;
+    try {
+      chrome.runtime.sendMessage(Protocol.push('status', { status })).catch(() => {});
+    } catch (_) { /* extension reloaded; this script is orphaned */ }
+  }
+
   // ─── Init ──────────────────────────────────────────────────
   async function init() {
     await loadSettings();
+    await loadNightState();
+    watchStorage();
     tryAttach();
     observe();
     resumeOnGesture();
+    reportStatus();
     console.log('[YT Normalizer] Content script loaded.');
   }
 
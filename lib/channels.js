@@ -0,0 +1,101 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Channel Stage
+// The 2 × 2 matrix that swaps, downmixes, balances and widens the
+// source channels ahead of compression, and the level and
+// correlation metering behind the popup's phase meter and
+// phase-aware mono.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const SILENT_DB = -70;        // a channel below this (RMS dBFS) carries nothing
+  const SMOOTHING = 0.2;        // share of a new correlation reading taken per tick
+  const PHASE_FLIP = -0.3;      // smoothed correlation below this is out of phase…
+  const PHASE_RESTORE = 0.3;    // …until it rises above this again
+  const MONO_CORRELATION = 0.98;
+
+  // ─── Matrix ────────────────────────────────────────────────
+  // Rows are outputs, columns inputs: L' = m[0][0]·L + m[0][1]·R,
+  // R' = m[1][0]·L + m[1][1]·R. Applied in order: swap, downmix or
+  // width, balance.
+  const SWAP = [[0, 1], [1, 0]];
+  const IDENTITY = [[1, 0], [0, 1]];
+
+  const multiply = (a, b) => a.map((row) => [0, 1].map((j) => row[0] * b[0][j] + row[1] * b[1][j]));
+
+  // `inverted` flips one channel before a phase-aware downmix, so
+  // out-of-phase uploads do not cancel
+  function matrix(settings, inverted = false) {
+    let m = settings.channelSwap ? SWAP : IDENTITY;
+    if (settings.monoDownmix !== 'off') {
+      const r = settings.monoDownmix === 'phase' && inverted ? -0.5 : 0.5;
+      m = multiply([[0.5, r], [0.5, r]], m);
+    } else {
+      // M = ½(L + R), S = ½(L − R); L' = M + wS, R' = M − wS
+      const w = settings.stereoWidth / 100;
+      m = multiply([[(1 + w) / 2, (1 - w) / 2], [(1 - w) / 2, (1 + w) / 2]], m);
+    }
+    // Balance turns the far side down and leaves the near side alone
+    const b = settings.channelBalance / 100;
+    return multiply([[Math.min(1, 1 - b), 0], [0, Math.min(1, 1 + b)]], m);
+  }
+
+  // ─── Metering ──────────────────────────────────────────────
+  const empty = () => ({ left: -Infinity, right: -Infinity, correlation: 0, inverted: false });
+
+  // RMS level (dBFS) of each channel and their correlation over one
+  // block of samples; correlation is null while either is silent
+  function analyse(left, right) {
+    let ll = 0;
+    let rr = 0;
+    let lr = 0;
+    for (let i = 0; i < left.length; i++) {
+      ll += left[i] * left[i];
+      rr += right[i] * right[i];
+      lr += left[i] * right[i];
+    }
+    const dB = (sum) => (sum > 0 ? 10 * Math.log10(sum / left.length) : -Infinity);
+    return {
+      left: dB(ll),
+      right: dB(rr),
+      correlation: ll > 0 && rr > 0 ? lr / Math.sqrt(ll * rr) : null
+    };
+  }
+
+  // Meter state after one reading. Correlation only moves while
+  // both channels carry signal; `inverted` follows it with hysteresis.
+  function follow(state, reading) {
+    const out = { left: reading.left, right: reading.right, correlation: state.correlation, inverted: state.inverted };
+    if (reading.left > SILENT_DB && reading.right > SILENT_DB) {
+      out.correlation = state.correlation + (reading.correlation - state.correlation) * SMOOTHING;
+      if (out.correlation < PHASE_FLIP) out.inverted = true;
+      else if (out.correlation > PHASE_RESTORE) out.inverted = false;
+    }
+    return out;
+  }
+
+  // What is wrong with the source, if anything, for the popup
+  function diagnose(state) {
+    const left = state.left > SILENT_DB;
+    const right = state.right > SILENT_DB;
+    if (!left && !right) return '';
+    if (!left) return 'Left channel silent';
+    if (!right) return 'Right channel silent';
+    if (state.correlation < PHASE_FLIP) return 'Channels out of phase';
+    if (state.correlation > MONO_CORRELATION) return 'Mono source';
+    return '';
+  }
+
+  root.NormalizerChannels = {
+    SILENT_DB,
+    PHASE_FLIP,
+    PHASE_RESTORE,
+    matrix,
+    empty,
+    analyse,
+    follow,
+    diagnose
+  };
+  if (typeof module === 'object') module.exports = root.NormalizerChannels;
+})(globalThis);
@@ -0,0 +1,272 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — EQ Curve Editor
+// Canvas frequency-response editor used by the popup and the
+// options page. Handles are dragged for frequency and gain, the
+// wheel changes a peak's Q and a double-click resets a band.
+// Requires lib/settings.js and lib/eq.js.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const Settings = root.NormalizerSettings;
+  const EQ       = root.NormalizerEQ;
+
+  const F_MIN = 20;
+  const F_MAX = 20000;
+  const DB_RANGE = 18;        // ± dB shown
+  const POINTS = 256;         // curve resolution
+  const HIT_RADIUS = 10;      // CSS px
+  const Q_STEP = 1.15;        // per wheel notch
+
+  const GRID_FREQS = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+  const GRID_DB = [-12, -6, 0, 6, 12];
+
+  const COLORS = {
+    bg:    '#151515',
+    grid:  '#2a2a2a',
+    label: '#777',
+    curve: '#3ea6ff',
+    fill:  'rgba(62, 166, 255, 0.12)',
+    pre:   '#3ea6ff',
+    post:  '#ffb74d'
+  };
+
+  const FREQS = new Float32Array(POINTS);
+  for (let i = 0; i < POINTS; i++) {
+    FREQS[i] = F_MIN * Math.pow(F_MAX / F_MIN, i / (POINTS - 1));
+  }
+
+  // ─── Response ──────────────────────────────────────────────
+  // Real BiquadFilterNodes on an offline context, so the curve is
+  // exactly what the content script's filters do.
+  let offline = null;
+  const filterCache = new Map();   // band id → BiquadFilterNode
+
+  function bandFilter(band) {
+    if (!offline) offline = new OfflineAudioContext(1, 1, 48000);
+    if (!filterCache.has(band.id)) filterCache.set(band.id, offline.createBiquadFilter());
+    return filterCache.get(band.id);
+  }
+
+  function response(bands, settings) {
+    const total = new Float32Array(POINTS);
+    const mag = new Float32Array(POINTS);
+    const phase = new Float32Array(POINTS);
+    bands.forEach((band) => {
+      const f = bandFilter(band);
+      EQ.configure(f, band, settings);
+      f.getFrequencyResponse(FREQS, mag, phase);
+      for (let i = 0; i < POINTS; i++) total[i] += 20 * Math.log10(mag[i] || 1e-6);
+    });
+    return total;
+  }
+
+  const fmtFreq = (f) => (f >= 1000 ? `${f / 1000}k` : String(f));
+
+  // ─── Editor ────────────────────────────────────────────────
+  // `onInput` fires while dragging, `onChange` when a gesture ends;
+  // both receive only the settings that changed.
+  function create(canvas, { onInput = () => {}, onChange = () => {} } = {}) {
+    const g = canvas.getContext('2d');
+    let settings = { ...Settings.DEFAULTS };
+    let drag = null;    // band being dragged
+    let width = 0;
+    let height = 0;
+
+    const bands = () => (settings.eqPost ? EQ.PRE_BANDS.concat(EQ.POST_BANDS) : EQ.PRE_BANDS);
+    const isPost = (band) => EQ.POST_BANDS.includes(band);
+
+    const xOf  = (f) => (Math.log(f / F_MIN) / Math.log(F_MAX / F_MIN)) * width;
+    const fOf  = (x) => F_MIN * Math.pow(F_MAX / F_MIN, x / width);
+    const yOf  = (dB) => height / 2 - (dB / DB_RANGE) * (height / 2);
+    const dbOf = (y) => ((height / 2 - y) / (height / 2)) * DB_RANGE;
+
+    function handlePos(band) {
+      return {
+        x: xOf(settings[band.freq]),
+        y: yOf(band.gain ? settings[band.gain] : 0)
+      };
+    }
+
+    function resize() {
+      const dpr = root.devicePixelRatio || 1;
+      width = canvas.clientWidth;
+      height = canvas.clientHeight;
+      if (canvas.width !== Math.round(width * dpr)) canvas.width = Math.round(width * dpr);
+      if (canvas.height !== Math.round(height * dpr)) canvas.height = Math.round(height * dpr);
+      g.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    function drawGrid() {
+      g.fillStyle = COLORS.bg;
+      g.fillRect(0, 0, width, height);
+      g.strokeStyle = COLORS.grid;
+      g.fillStyle = COLORS.label;
+      g.font = '9px sans-serif';
+      g.lineWidth = 1;
+      g.beginPath();
+      GRID_FREQS.forEach((f) => {
+        const x = Math.round(xOf(f)) + 0.5;
+        g.moveTo(x, 0);
+        g.lineTo(x, height);
+        g.fillText(fmtFreq(f), x + 2, height - 3);
+      });
+      GRID_DB.forEach((dB) => {
+        const y = Math.round(yOf(dB)) + 0.5;
+        g.moveTo(0, y);
+        g.lineTo(width, y);
+        if (dB !== 0) g.fillText(`${dB > 0 ? '+' : ''}${dB}`, 2, y - 2);
+      });
+      g.stroke();
+    }
+
+    function drawCurve() {
+      const db = response(bands(), settings);
+      g.beginPath();
+      for (let i = 0; i < POINTS; i++) {
+        const x = xOf(FREQS[i]);
+        const y = yOf(Math.max(-DB_RANGE, Math.min(DB_RANGE, db[i])));
+        if (i === 0) g.moveTo(x, y); else g.lineTo(x, y);
+      }
+      g.strokeStyle = COLORS.curve;
+      g.lineWidth = 2;
+      g.stroke();
+      g.lineTo(width, yOf(0));
+      g.lineTo(0, yOf(0));
+      g.closePath();
+      g.fillStyle = COLORS.fill;
+      g.fill();
+    }
+
+    function drawHandles() {
+      g.font = 'bold 8px sans-serif';
+      g.textAlign = 'center';
+      g.textBaseline = 'middle';
+      bands().forEach((band) => {
+        const { x, y } = handlePos(band);
+        const color = isPost(band) ? COLORS.post : COLORS.pre;
+        g.beginPath();
+        g.arc(x, y, 7, 0, Math.PI * 2);
+        if (EQ.isOff(band, settings)) {
+          g.fillStyle = COLORS.bg;
+          g.fill();
+          g.strokeStyle = color;
+          g.lineWidth = 1.5;
+          g.stroke();
+          g.fillStyle = color;
+        } else {
+          g.fillStyle = color;
+          g.fill();
+          g.fillStyle = '#000';
+        }
+        g.fillText(band.label, x, y + 0.5);
+      });
+      g.textAlign = 'start';
+      g.textBaseline = 'alphabetic';
+    }
+
+    function draw() {
+      resize();
+      if (!width || !height) return;
+      drawGrid();
+      g.globalAlpha = settings.eq ? 1 : 0.4;
+      drawCurve();
+      drawHandles();
+      g.globalAlpha = 1;
+    }
+
+    // ─── Interaction ─────────────────────────────────────────
+    function pointerPos(e) {
+      const r = canvas.getBoundingClientRect();
+      return { x: e.clientX - r.left, y: e.clientY - r.top };
+    }
+
+    function hitTest(pos) {
+      let best = null;
+      let bestDist = HIT_RADIUS;
+      bands().forEach((band) => {
+        const h = handlePos(band);
+        const d = Math.hypot(h.x - pos.x, h.y - pos.y);
+        if (d <= bestDist) {
+          best = band;
+          bestDist = d;
+        }
+      });
+      return best;
+    }
+
+    // Validates, applies and returns the changed values
+    function update(values) {
+      const clean = Settings.sanitize(values);
+      Object.assign(settings, clean);
+      draw();
+      return clean;
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+      drag = hitTest(pointerPos(e));
+      if (!drag) return;
+      canvas.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      const pos = pointerPos(e);
+      if (!drag) {
+        canvas.style.cursor = hitTest(pos) ? 'grab' : 'default';
+        return;
+      }
+      const values = { [drag.freq]: fOf(Math.max(0, Math.min(width, pos.x))) };
+      if (drag.gain) values[drag.gain] = dbOf(pos.y);
+      onInput(update(values));
+    });
+
+    const endDrag = () => {
+      if (!drag) return;
+      const band = drag;
+      drag = null;
+      const values = { [band.freq]: settings[band.freq] };
+      if (band.gain) values[band.gain] = settings[band.gain];
+      onChange(values);
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    canvas.addEventListener('wheel', (e) => {
+      const band = hitTest(pointerPos(e));
+      if (!band || !band.q) return;
+      e.preventDefault();
+      const q = settings[band.q] * (e.deltaY < 0 ? Q_STEP : 1 / Q_STEP);
+      const values = update({ [band.q]: q });
+      onInput(values);
+      onChange(values);
+    }, { passive: false });
+
+    canvas.addEventListener('dblclick', (e) => {
+      const band = hitTest(pointerPos(e));
+      if (!band) return;
+      const f = Settings.FIELDS[band.freq];
+      let values;
+      if (band.type === 'highpass') values = { [band.freq]: f.min };
+      else if (band.type === 'lowpass') values = { [band.freq]: f.max };
+      else values = { [band.gain]: 0 };
+      values = update(values);
+      onInput(values);
+      onChange(values);
+    });
+
+    // Redraws when a collapsed section or hidden panel is shown
+    new ResizeObserver(() => draw()).observe(canvas);
+
+    return {
+      set(values) {
+        settings = { ...settings, ...values };
+        draw();
+      },
+      draw
+    };
+  }
+
+  root.NormalizerEQEditor = { create };
+})(globalThis);
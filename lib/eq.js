@@ -0,0 +1,86 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Parametric EQ
+// Band layout of the pre- and post-compressor EQ and how each
+// band's settings map onto a BiquadFilterNode. Shared by the
+// content script and the curve editor. Requires lib/settings.js.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const Settings = root.NormalizerSettings || require('./settings.js');
+
+  // Lowpass / highpass Q is given in dB by Web Audio
+  const BUTTERWORTH_Q_DB = 20 * Math.log10(Math.SQRT1_2);
+
+  // ─── Band layout ───────────────────────────────────────────
+  // Each band names the settings that drive it. High-pass at its
+  // lowest and low-pass at its highest frequency count as off.
+  const PRE_BANDS = [
+    { id: 'highpass',  label: 'HP', type: 'highpass',  freq: 'eqHighpass' },
+    { id: 'lowShelf',  label: 'LS', type: 'lowshelf',  freq: 'eqLowShelfFreq',  gain: 'eqLowShelfGain' },
+    { id: 'peak1',     label: '1',  type: 'peaking',   freq: 'eqPeak1Freq',     gain: 'eqPeak1Gain', q: 'eqPeak1Q' },
+    { id: 'peak2',     label: '2',  type: 'peaking',   freq: 'eqPeak2Freq',     gain: 'eqPeak2Gain', q: 'eqPeak2Q' },
+    { id: 'peak3',     label: '3',  type: 'peaking',   freq: 'eqPeak3Freq',     gain: 'eqPeak3Gain', q: 'eqPeak3Q' },
+    { id: 'highShelf', label: 'HS', type: 'highshelf', freq: 'eqHighShelfFreq', gain: 'eqHighShelfGain' },
+    { id: 'lowpass',   label: 'LP', type: 'lowpass',   freq: 'eqLowpass' }
+  ];
+
+  const POST_BANDS = [
+    { id: 'postLow',  label: 'L', type: 'lowshelf',  freq: 'eqPostLowFreq',  gain: 'eqPostLowGain' },
+    { id: 'postHigh', label: 'H', type: 'highshelf', freq: 'eqPostHighFreq', gain: 'eqPostHighGain' }
+  ];
+
+  // ─── Filter parameters ─────────────────────────────────────
+  function isOff(band, settings) {
+    const f = Settings.FIELDS[band.freq];
+    if (band.type === 'highpass') return settings[band.freq] <= f.min;
+    if (band.type === 'lowpass')  return settings[band.freq] >= f.max;
+    return settings[band.gain] === 0;
+  }
+
+  // Every band keeps its own filter type, so a change only moves
+  // parameters, which can be ramped. A band that is off sits where
+  // its filter is an exact pass-through: 0 dB for peaking and
+  // shelving bands, a cut-off at 0 Hz for the high-pass and at
+  // Nyquist for the low-pass.
+  function filterParams(band, settings, sampleRate) {
+    let frequency = settings[band.freq];
+    if (isOff(band, settings)) {
+      if (band.type === 'highpass') frequency = 0;
+      if (band.type === 'lowpass')  frequency = sampleRate / 2;
+    }
+    let Q = 1;
+    if (band.q) Q = settings[band.q];
+    else if (band.type === 'highpass' || band.type === 'lowpass') Q = BUTTERWORTH_Q_DB;
+    return {
+      type: band.type,
+      frequency,
+      gain: band.gain ? settings[band.gain] : 0,
+      Q
+    };
+  }
+
+  const assign = (param, value) => { param.value = value; };
+
+  // Applies a band's settings to its BiquadFilterNode; `set` may
+  // ramp the parameters instead of assigning them. The type is only
+  // ever set on a new node.
+  function configure(node, band, settings, set = assign) {
+    const p = filterParams(band, settings, node.context.sampleRate);
+    if (node.type !== p.type) node.type = p.type;
+    set(node.frequency, p.frequency);
+    set(node.gain, p.gain);
+    set(node.Q, p.Q);
+  }
+
+  root.NormalizerEQ = {
+    BUTTERWORTH_Q_DB,
+    PRE_BANDS,
+    POST_BANDS,
+    isOff,
+    filterParams,
+    configure
+  };
+  if (typeof module === 'object') module.exports = root.NormalizerEQ;
+})(globalThis);
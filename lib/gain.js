@@ -0,0 +1,84 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Gain Control
+// The auto-gain loop without Web Audio or the page: which
+// loudness measurement the gain follows on each metering tick,
+// and how far it moves towards the target. Used by the content
+// script and exercised offline by the test suite.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const GATE_LUFS = -60;           // momentary loudness below this is silence
+  const INTEGRATED_MIN_SEC = 10;   // gated audio needed before trusting integrated
+  const RANGE_DB = 24;             // auto-gain stays within ±RANGE_DB
+  const RATE = 0.08;               // share of the remaining error taken per tick
+  const YT_REFERENCE_LUFS = -14;   // loudnessDb is relative to this
+
+  // Initial gain estimates are tried in order: remembered, YouTube's
+  // published loudness, pre-analysis. The first two are held until
+  // the integrated measurement takes over; pre-analysis only seeds
+  // the live AGC.
+  const HELD_SOURCES = ['cache', 'youtube'];
+
+  const dBtoLinear = (dB) => Math.pow(10, dB / 20);
+  // `max` lowers the upper limit, e.g. in night mode
+  const clamp = (dB, max = RANGE_DB) => Math.max(-RANGE_DB, Math.min(max, RANGE_DB, dB));
+
+  // The gain after one tick: a smooth approach to the gain that
+  // brings `measured` (input loudness, LUFS) to `target`
+  function step(gain, measured, target, max) {
+    if (!Number.isFinite(measured)) return gain;
+    return clamp(gain + (target - measured - gain) * RATE, max);
+  }
+
+  // What the programme gain follows this tick. Follows short-term
+  // loudness until enough gated programme has been heard for the
+  // integrated value to be meaningful. With `speechGated`, the gain
+  // follows speech loudness and holds between utterances.
+  //   input  — input meter reading { momentary, shortTerm, integrated, gatedSeconds }
+  //   source — where the current gain came from ('live', 'cache', …)
+  // Returns { measured, source }; `measured` is null to hold the gain.
+  function measurement({ input, source, speechGated = false, speech = false, speechLoudness }) {
+    if (!(input.momentary > GATE_LUFS)) return { measured: null, source };
+    const integratedReady = input.gatedSeconds >= INTEGRATED_MIN_SEC;
+    // A remembered or published gain holds until this
+    // play-through catches up
+    if (source !== 'live') {
+      if (!integratedReady && HELD_SOURCES.includes(source)) return { measured: null, source };
+      if (integratedReady) source = 'live';
+    }
+    if (speechGated && !speech) return { measured: null, source };
+    return {
+      measured: speechGated ? speechLoudness : integratedReady ? input.integrated : input.shortTerm,
+      source
+    };
+  }
+
+  // Programme loudness (LUFS) from the player bridge's reply, or
+  // null. loudnessDb is an offset from YouTube's reference;
+  // perceptualLoudnessDb, the fallback, is already absolute.
+  function published({ loudnessDb, perceptualLoudnessDb }) {
+    // Anything outside these is not a loudness
+    if (typeof loudnessDb === 'number') {
+      return Math.abs(loudnessDb) < 60 ? YT_REFERENCE_LUFS + loudnessDb : null;
+    }
+    if (typeof perceptualLoudnessDb === 'number') {
+      return perceptualLoudnessDb > GATE_LUFS && perceptualLoudnessDb < 0 ? perceptualLoudnessDb : null;
+    }
+    return null;
+  }
+
+  root.NormalizerGain = {
+    GATE_LUFS,
+    INTEGRATED_MIN_SEC,
+    RANGE_DB,
+    HELD_SOURCES,
+    dBtoLinear,
+    clamp,
+    step,
+    measurement,
+    published
+  };
+  if (typeof module === 'object') module.exports = root.NormalizerGain;
+})(globalThis);
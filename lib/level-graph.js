@@ -0,0 +1,180 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Level Graphs
+// Canvas views for the popup: a scrolling history of input and
+// output loudness, gain reduction and auto-gain, and a spectrum
+// of the input and output analysers. Data comes from the content
+// script; these only draw.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const TICK_SEC = 0.1;        // one history sample per metering tick
+
+  const LUFS_MIN = -60;        // loudness pane: -60…0 LUFS
+  const GAIN_RANGE = 24;       // gain pane: ±24 dB
+  const LOUDNESS_SHARE = 0.6;  // of the height, the rest is the gain pane
+
+  const F_MIN = 20;
+  const F_MAX = 20000;
+  const SPECTRUM_DB = [-100, -10];
+
+  const COLORS = {
+    bg:     '#151515',
+    grid:   '#2a2a2a',
+    label:  '#777',
+    input:  '#4caf50',
+    output: '#3ea6ff',
+    gr:     '#ff9800',
+    ag:     '#bb86fc'
+  };
+
+  // Sample layout shared with content.js (recordHistory)
+  const IN = 0;
+  const OUT = 1;
+  const GR = 2;
+  const AG = 3;
+
+  // -Infinity arrives as null after messaging
+  const isLevel = (v) => typeof v === 'number' && v > -100;
+
+  // Sizes the backing store to the CSS box; returns null while hidden
+  function fit(canvas, g) {
+    const dpr = root.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * dpr)) canvas.width = Math.round(width * dpr);
+    if (canvas.height !== Math.round(height * dpr)) canvas.height = Math.round(height * dpr);
+    g.setTransform(dpr, 0, 0, dpr, 0, 0);
+    return width && height ? { width, height } : null;
+  }
+
+  function label(g, text, x, y) {
+    g.fillStyle = COLORS.label;
+    g.font = '9px sans-serif';
+    g.fillText(text, x, y);
+  }
+
+  // ─── History ───────────────────────────────────────────────
+  // Loudness on top, gain below; the newest sample is at the right
+  // edge and `seconds` of history fit the width.
+  function createHistory(canvas) {
+    const g = canvas.getContext('2d');
+
+    function draw(samples, seconds) {
+      const size = fit(canvas, g);
+      if (!size) return;
+      const { width, height } = size;
+      const split = Math.round(height * LOUDNESS_SHARE);
+      const count = Math.round(seconds / TICK_SEC);
+      const visible = samples.slice(-count);
+      const xOf = (i) => width - ((visible.length - 1 - i) / count) * width;
+      const yLufs = (v) => ((0 - v) / (0 - LUFS_MIN)) * split;
+      const yGain = (v) => split + (height - split) / 2 - (v / GAIN_RANGE) * ((height - split) / 2);
+
+      g.fillStyle = COLORS.bg;
+      g.fillRect(0, 0, width, height);
+      g.strokeStyle = COLORS.grid;
+      g.lineWidth = 1;
+      g.beginPath();
+      [-12, -24, -36, -48].forEach((v) => {
+        const y = Math.round(yLufs(v)) + 0.5;
+        g.moveTo(0, y);
+        g.lineTo(width, y);
+      });
+      [split + 0.5, Math.round(yGain(0)) + 0.5].forEach((y) => {
+        g.moveTo(0, y);
+        g.lineTo(width, y);
+      });
+      g.stroke();
+      label(g, 'LUFS', 2, 10);
+      [-12, -24, -36, -48].forEach((v) => label(g, String(v), 2, yLufs(v) - 2));
+      label(g, 'dB', 2, split + 10);
+      label(g, seconds >= 60 ? `${seconds / 60} min` : `${seconds} s`, width - 30, height - 3);
+
+      // Loudness has gaps where there was silence; gains are continuous
+      const line = (index, yOf, min, max, color) => {
+        g.beginPath();
+        let pen = false;
+        visible.forEach((s, i) => {
+          const v = s[index];
+          if (!isLevel(v)) {
+            pen = false;
+            return;
+          }
+          const y = yOf(Math.max(min, Math.min(max, v)));
+          if (pen) g.lineTo(xOf(i), y); else g.moveTo(xOf(i), y);
+          pen = true;
+        });
+        g.strokeStyle = color;
+        g.lineWidth = 1.5;
+        g.stroke();
+      };
+      line(IN,  yLufs, LUFS_MIN, 0, COLORS.input);
+      line(OUT, yLufs, LUFS_MIN, 0, COLORS.output);
+      line(GR,  yGain, -GAIN_RANGE, GAIN_RANGE, COLORS.gr);
+      line(AG,  yGain, -GAIN_RANGE, GAIN_RANGE, COLORS.ag);
+    }
+
+    return { draw };
+  }
+
+  // ─── Spectrum ──────────────────────────────────────────────
+  // `bands` are log-spaced from 20 Hz to 20 kHz; input is drawn
+  // filled, output as a line over it.
+  function createSpectrum(canvas) {
+    const g = canvas.getContext('2d');
+
+    function draw(spectrum) {
+      const size = fit(canvas, g);
+      if (!size) return;
+      const { width, height } = size;
+      const [dbMin, dbMax] = SPECTRUM_DB;
+      const xOf = (f) => (Math.log(f / F_MIN) / Math.log(F_MAX / F_MIN)) * width;
+      const yOf = (db) => {
+        const v = isLevel(db) ? Math.max(dbMin, Math.min(dbMax, db)) : dbMin;
+        return height - ((v - dbMin) / (dbMax - dbMin)) * height;
+      };
+
+      g.fillStyle = COLORS.bg;
+      g.fillRect(0, 0, width, height);
+      g.strokeStyle = COLORS.grid;
+      g.lineWidth = 1;
+      g.beginPath();
+      [100, 1000, 10000].forEach((f) => {
+        const x = Math.round(xOf(f)) + 0.5;
+        g.moveTo(x, 0);
+        g.lineTo(x, height);
+        label(g, f >= 1000 ? `${f / 1000}k` : String(f), x + 2, height - 3);
+      });
+      g.stroke();
+      if (!spectrum) return;
+
+      const path = (bands) => {
+        g.beginPath();
+        bands.forEach((db, i) => {
+          const x = ((i + 0.5) / bands.length) * width;
+          if (i === 0) g.moveTo(x, yOf(db)); else g.lineTo(x, yOf(db));
+        });
+      };
+      path(spectrum.input);
+      g.lineTo(width, height);
+      g.lineTo(0, height);
+      g.closePath();
+      g.fillStyle = 'rgba(76, 175, 80, 0.35)';
+      g.fill();
+      path(spectrum.output);
+      g.strokeStyle = COLORS.output;
+      g.lineWidth = 1.5;
+      g.stroke();
+    }
+
+    return { draw };
+  }
+
+  root.NormalizerGraphs = {
+    COLORS,
+    createHistory,
+    createSpectrum
+  };
+})(globalThis);
@@ -0,0 +1,58 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Night Mode
+// Night mode tightens compression, lowers the limiter ceiling and
+// caps positive auto-gain. It is switched on by hand or by a daily
+// schedule, which the service worker runs. Times are minutes after
+// midnight, local time.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const minutesOf = (date) => date.getHours() * 60 + date.getMinutes();
+
+  // Whether `minutes` falls in [start, end). Windows may span
+  // midnight; start === end is an empty window.
+  function inWindow(start, end, minutes) {
+    if (start === end) return false;
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  // Whether the schedule in `settings` has night mode on at `date`
+  function scheduled(settings, date) {
+    return !!settings.nightSchedule && inWindow(settings.nightStart, settings.nightEnd, minutesOf(date));
+  }
+
+  // Time (ms since the epoch) of the next start or end after `date`
+  function nextChange(settings, date) {
+    return Math.min(...[settings.nightStart, settings.nightEnd].map((m) => {
+      const at = new Date(date);
+      at.setHours(Math.floor(m / 60), m % 60, 0, 0);
+      if (at <= date) at.setDate(at.getDate() + 1);
+      return at.getTime();
+    }));
+  }
+
+  // ─── Processing limits ─────────────────────────────────────
+  // Night values are bounds: they only ever make processing safer.
+  function compression(settings, threshold, ratio) {
+    return {
+      threshold: Math.min(threshold, settings.nightThreshold),
+      ratio: Math.max(ratio, settings.nightRatio)
+    };
+  }
+
+  const ceiling = (settings) => Math.min(settings.limiterThreshold, settings.nightCeiling);
+
+  root.NormalizerNight = {
+    minutesOf,
+    inWindow,
+    scheduled,
+    nextChange,
+    compression,
+    ceiling
+  };
+  if (typeof module === 'object') module.exports = root.NormalizerNight;
+})(globalThis);
@@ -0,0 +1,240 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Presets
+// Built-in and user-defined presets, shared by the content
+// script, popup and options page. User presets live in
+// chrome.storage.sync (one key per preset) and travel between
+// installs as JSON. Requires lib/settings.js.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const Settings = root.NormalizerSettings || require('./settings.js');
+
+  // ─── Built-in presets ──────────────────────────────────────
+  // EQ settings are left untouched; they describe the listener's
+  // speakers and taste rather than the programme.
+  const BUILTIN = {
+    light: {
+      threshold: -18,
+      ratio: 2,
+      knee: 20,
+      attack: 10,
+      release: 300,
+      makeupGain: 2,
+      autoGain: true,
+      targetLevel: -16,
+      multiband: false,
+      dialogue: false
+    },
+    medium: {
+      threshold: -24,
+      ratio: 4,
+      knee: 10,
+      attack: 3,
+      release: 250,
+      makeupGain: 6,
+      autoGain: true,
+      targetLevel: -14,
+      multiband: false,
+      dialogue: false
+    },
+    heavy: {
+      threshold: -35,
+      ratio: 10,
+      knee: 5,
+      attack: 1,
+      release: 150,
+      makeupGain: 12,
+      autoGain: true,
+      targetLevel: -11,
+      multiband: false,
+      dialogue: false
+    },
+    // Speech over music beds: gentle compression, the dialogue stage
+    // does the work. Its own parameters are left as the user tuned them.
+    dialogue: {
+      threshold: -28,
+      ratio: 3,
+      knee: 12,
+      attack: 5,
+      release: 200,
+      makeupGain: 4,
+      autoGain: true,
+      targetLevel: -16,
+      multiband: false,
+      dialogue: true
+    }
+  };
+
+  const BUILTIN_NAMES = { light: 'Light', medium: 'Medium', heavy: 'Heavy', dialogue: 'Dialogue' };
+
+  const KEY_PREFIX     = Settings.STORAGE.presetPrefix;
+  const FILE_FORMAT    = 'yt-audio-normalizer-presets';
+  const SCHEMA_VERSION = 1;
+  const MAX_NAME_LEN   = 40;
+
+  // ─── Helpers ───────────────────────────────────────────────
+  const isBuiltin = (id) => Object.prototype.hasOwnProperty.call(BUILTIN, id);
+
+  function cleanName(name) {
+    const n = String(name || '').trim().slice(0, MAX_NAME_LEN);
+    if (!n) throw new Error('Preset name is empty');
+    return n;
+  }
+
+  function newId() {
+    return `u${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  function storageGet(keys) {
+    return new Promise((resolve) => chrome.storage.sync.get(keys, resolve));
+  }
+
+  function storageSet(items) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set(items, () => {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else resolve();
+      });
+    });
+  }
+
+  // ─── Applying changes ──────────────────────────────────────
+  // Settings after a (sanitized) change: choosing a built-in preset
+  // brings its values along; only a change to a preset field
+  // departs from the preset, to 'custom'.
+  function applyUpdate(current, incoming) {
+    if (incoming.preset && incoming.preset !== 'custom' && isBuiltin(incoming.preset)) {
+      return { ...current, ...incoming, ...BUILTIN[incoming.preset] };
+    }
+    const changed = Settings.PRESET_KEYS.some((k) => k in incoming && incoming[k] !== current[k]);
+    const next = { ...current, ...incoming };
+    if (!('preset' in incoming) && changed) next.preset = 'custom';
+    return next;
+  }
+
+  // ─── User preset storage ───────────────────────────────────
+  async function list() {
+    const all = await storageGet(null);
+    const user = Object.keys(all)
+      .filter((k) => k.startsWith(KEY_PREFIX))
+      .map((k) => ({ id: k.slice(KEY_PREFIX.length), builtin: false, ...all[k] }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const builtin = Object.keys(BUILTIN).map((id) => ({
+      id, builtin: true, name: BUILTIN_NAMES[id], settings: BUILTIN[id]
+    }));
+    return builtin.concat(user);
+  }
+
+  async function get(id) {
+    if (isBuiltin(id)) return { id, builtin: true, name: BUILTIN_NAMES[id], settings: BUILTIN[id] };
+    const res = await storageGet(KEY_PREFIX + id);
+    const p = res[KEY_PREFIX + id];
+    return p ? { id, builtin: false, ...p } : null;
+  }
+
+  // Creates a preset, or overwrites it when `id` is given
+  async function save({ id, name, settings }) {
+    if (id && isBuiltin(id)) throw new Error('Built-in presets cannot be changed');
+    const presetId = id || newId();
+    await storageSet({
+      [KEY_PREFIX + presetId]: { name: cleanName(name), settings: Settings.pickPresetFields(settings) }
+    });
+    return presetId;
+  }
+
+  async function rename(id, name) {
+    const p = await get(id);
+    if (!p || p.builtin) throw new Error('Preset not found');
+    return save({ id, name, settings: p.settings });
+  }
+
+  function remove(id) {
+    return new Promise((resolve) => chrome.storage.sync.remove(KEY_PREFIX + id, resolve));
+  }
+
+  // ─── Import / Export ───────────────────────────────────────
+  async function exportJSON() {
+    const presets = (await list())
+      .filter((p) => !p.builtin)
+      .map(({ name, settings }) => ({ name, settings }));
+    return JSON.stringify({
+      format: FILE_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exported: new Date().toISOString(),
+      presets
+    }, null, 2);
+  }
+
+  // Checks the envelope and every entry before anything is written
+  function parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('File is not valid JSON');
+    }
+    if (!data || data.format !== FILE_FORMAT) {
+      throw new Error('Not a YT Normalizer preset file');
+    }
+    if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+      throw new Error('Missing or invalid schemaVersion');
+    }
+    if (data.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`Preset file uses schema v${data.schemaVersion}; this version supports v${SCHEMA_VERSION}`);
+    }
+    return parsePresetList(data.presets);
+  }
+
+  // Validates [{ name, settings }] entries from a file
+  function parsePresetList(presets) {
+    if (!Array.isArray(presets)) throw new Error('presets must be an array');
+    return presets.map((p, i) => {
+      if (!p || typeof p.settings !== 'object' || p.settings === null) {
+        throw new Error(`Preset ${i + 1} has no settings`);
+      }
+      Settings.PRESET_KEYS.forEach((k) => {
+        if (!(k in p.settings)) return;
+        const v = p.settings[k];
+        const type = Settings.FIELDS[k].type;
+        if (typeof v !== type || (type === 'number' && !Number.isFinite(v))) {
+          throw new Error(`Preset ${i + 1}: "${k}" must be a ${type}`);
+        }
+      });
+      return { name: cleanName(p.name), settings: Settings.pickPresetFields(p.settings) };
+    });
+  }
+
+  // Presets whose name matches an existing user preset replace it
+  async function mergePresets(incoming) {
+    const existing = (await list()).filter((p) => !p.builtin);
+    for (const p of incoming) {
+      const match = existing.find((e) => e.name === p.name);
+      await save({ id: match && match.id, name: p.name, settings: p.settings });
+    }
+    return incoming.length;
+  }
+
+  async function importJSON(text) {
+    return mergePresets(parseImport(text));
+  }
+
+  root.NormalizerPresets = {
+    BUILTIN,
+    BUILTIN_NAMES,
+    SCHEMA_VERSION,
+    isBuiltin,
+    applyUpdate,
+    list,
+    get,
+    save,
+    rename,
+    remove,
+    exportJSON,
+    importJSON,
+    parsePresetList,
+    mergePresets
+  };
+  if (typeof module === 'object') module.exports = root.NormalizerPresets;
+})(globalThis);
@@ -0,0 +1,160 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Messaging Protocol
+// Versioned messages between the content script and extension
+// views. Views hold a long-lived port to the tab: requests carry
+// an id and are answered with a `reply` or an `error`, while the
+// content script pushes `state` at the negotiated interval and
+// `settings` whenever they change. Requires chrome.* APIs.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const VERSION = 1;
+  const PORT_NAME = 'yt-normalizer';
+
+  // State push interval a view may ask for, ms
+  const INTERVAL = { min: 50, max: 1000, default: 100 };
+
+  const REQUEST_TIMEOUT_MS = 3000;
+  const RECONNECT_MS = [250, 500, 1000, 2000];   // then every 2 s
+
+  const ERRORS = {
+    badRequest:         'Malformed message',
+    unsupportedVersion: 'Unsupported protocol version',
+    unknownType:        'Unknown message type',
+    notFound:           'Not found',
+    disconnected:       'Not connected to the page',
+    timeout:            'The page did not answer',
+    failed:             'Request failed'
+  };
+
+  // ─── Messages ──────────────────────────────────────────────
+  function error(code, message) {
+    const e = new Error(message || ERRORS[code] || ERRORS.failed);
+    e.code = ERRORS[code] ? code : 'failed';
+    return e;
+  }
+
+  // Throws unless `msg` is a request this version understands the envelope of
+  function check(msg) {
+    if (!msg || typeof msg !== 'object' || typeof msg.type !== 'string') throw error('badRequest');
+    if (msg.v !== VERSION) {
+      throw error('unsupportedVersion', `Protocol v${msg.v} is not supported (expected v${VERSION})`);
+    }
+  }
+
+  const request = (id, type, payload) => ({ v: VERSION, id, type, ...payload });
+  const reply   = (id, data) => ({ v: VERSION, id, type: 'reply', ...data });
+  const push    = (type, data) => ({ v: VERSION, type, ...data });
+
+  function errorReply(id, e) {
+    return { v: VERSION, id, type: 'error', code: e.code || 'failed', message: e.message };
+  }
+
+  function negotiateInterval(ms) {
+    const n = Number(ms);
+    if (!Number.isFinite(n)) return INTERVAL.default;
+    return Math.round(Math.max(INTERVAL.min, Math.min(INTERVAL.max, n)));
+  }
+
+  // ─── View side ─────────────────────────────────────────────
+  // Keeps a port open to the tab, reconnecting with backoff when it
+  // drops (navigation, reload, no content script yet). `subscribe`
+  // options are resent on every connect.
+  //   onPush(msg)           — 'state' / 'settings' pushes
+  //   onStatus(status, hello) — 'connected' with the hello reply,
+  //                             or 'disconnected'
+  function createClient(tabId, { interval = INTERVAL.default, onPush = () => {}, onStatus = () => {} } = {}) {
+    let port = null;
+    let nextId = 1;
+    let attempts = 0;
+    let retryTimer = null;
+    let closed = false;
+    let subscription = {};
+    const pending = new Map();   // id → { resolve, reject, timer }
+
+    function connect() {
+      retryTimer = null;
+      port = chrome.tabs.connect(tabId, { name: PORT_NAME });
+      port.onMessage.addListener(receive);
+      port.onDisconnect.addListener(() => {
+        void chrome.runtime.lastError;   // expected while no content script answers
+        port = null;
+        pending.forEach((p) => {
+          clearTimeout(p.timer);
+          p.reject(error('disconnected'));
+        });
+        pending.clear();
+        onStatus('disconnected');
+        if (closed) return;
+        const delay = RECONNECT_MS[Math.min(attempts++, RECONNECT_MS.length - 1)];
+        retryTimer = setTimeout(connect, delay);
+      });
+      send('hello', { interval, ...subscription }).then((hello) => {
+        attempts = 0;
+        onStatus('connected', hello);
+      }, () => { /* onDisconnect handles it */ });
+    }
+
+    function receive(msg) {
+      if (!msg || msg.v !== VERSION) return;
+      if (msg.type !== 'reply' && msg.type !== 'error') {
+        onPush(msg);
+        return;
+      }
+      // Several frames may answer; the first reply wins
+      const p = pending.get(msg.id);
+      if (!p) return;
+      pending.delete(msg.id);
+      clearTimeout(p.timer);
+      if (msg.type === 'error') p.reject(error(msg.code, msg.message));
+      else p.resolve(msg);
+    }
+
+    function send(type, payload = {}) {
+      return new Promise((resolve, reject) => {
+        if (!port) {
+          reject(error('disconnected'));
+          return;
+        }
+        const id = nextId++;
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(error('timeout'));
+        }, REQUEST_TIMEOUT_MS);
+        pending.set(id, { resolve, reject, timer });
+        port.postMessage(request(id, type, payload));
+      });
+    }
+
+    function subscribe(options) {
+      subscription = { ...subscription, ...options };
+      if (port) send('subscribe', subscription).catch(() => {});
+    }
+
+    function close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (port) port.disconnect();
+    }
+
+    connect();
+    return { request: send, subscribe, close };
+  }
+
+  root.NormalizerProtocol = {
+    VERSION,
+    PORT_NAME,
+    INTERVAL,
+    ERRORS,
+    error,
+    check,
+    reply,
+    push,
+    errorReply,
+    negotiateInterval,
+    createClient
+  };
+  if (typeof module === 'object') module.exports = root.NormalizerProtocol;
+})(globalThis);
@@ -0,0 +1,214 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Settings Schema
+// Single definition of every setting: type, range, unit and
+// default. The content script, popup and options page all read
+// field lists, defaults and validation from here.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  // ─── Field definitions ─────────────────────────────────────
+  // `preset: false` keeps a field out of presets (on/off state, the
+  // preset selection itself, smoothing, gain estimation, ad
+  // handling, night mode and the toolbar badge). `global: true`
+  // fields are never part of a channel or site profile either.
+  // Times of day are minutes after midnight; balance runs from
+  // −100 (left only) to +100 (right only).
+  const FIELDS = {
+    enabled:          { type: 'boolean', default: true,     label: 'Enabled', preset: false },
+    preset:           { type: 'string',  default: 'medium', label: 'Preset',  preset: false },
+    autoGain:         { type: 'boolean', default: true,     label: 'Auto-Gain', group: 'loudness' },
+    targetLevel:      { type: 'number',  default: -14, min: -24, max: -6,  step: 1,   unit: 'LUFS', label: 'Target Loudness', group: 'loudness' },
+    youtubeLoudness:  { type: 'boolean', default: true, label: 'Start from YouTube Loudness Data', group: 'loudness', preset: false },
+    preAnalysis:      { type: 'number',  default: 0,   min: 0,   max: 1500, step: 100, unit: 'ms', label: 'Pre-analysis Window (0 = off)', group: 'loudness', preset: false },
+    musicGainMode:    { type: 'string',  default: 'track', choices: { track: 'Track', album: 'Album' }, label: 'YouTube Music Gain', group: 'loudness', preset: false },
+    threshold:        { type: 'number',  default: -24, min: -60, max: 0,   step: 1,   unit: 'dB',   label: 'Threshold',   group: 'compressor' },
+    ratio:            { type: 'number',  default: 4,   min: 1,   max: 20,  step: 0.5, unit: ': 1',  label: 'Ratio',       group: 'compressor' },
+    knee:             { type: 'number',  default: 10,  min: 0,   max: 40,  step: 1,   unit: 'dB',   label: 'Knee',        group: 'compressor' },
+    attack:           { type: 'number',  default: 3,   min: 0,   max: 200, step: 1,   unit: 'ms',   label: 'Attack',      group: 'compressor' },
+    release:          { type: 'number',  default: 250, min: 10,  max: 1500, step: 10, unit: 'ms',   label: 'Release',     group: 'compressor' },
+    makeupGain:       { type: 'number',  default: 6,   min: 0,   max: 30,  step: 0.5, unit: 'dB',   label: 'Makeup Gain', group: 'compressor', signed: true },
+    preGain:          { type: 'number',  default: 0,   min: -20, max: 20,  step: 0.5, unit: 'dB',   label: 'Pre-Gain',    group: 'compressor', signed: true },
+    limiterThreshold: { type: 'number',  default: -1,  min: -12, max: 0,   step: 0.1, unit: 'dBTP', label: 'Limiter Ceiling',   group: 'limiter' },
+    limiterLookahead: { type: 'number',  default: 5,   min: 1,   max: 20,  step: 0.5, unit: 'ms',   label: 'Limiter Lookahead', group: 'limiter' },
+    limiterRelease:   { type: 'number',  default: 50,  min: 5,   max: 500, step: 5,   unit: 'ms',   label: 'Limiter Release',   group: 'limiter' },
+    smoothing:        { type: 'number',  default: 20,  min: 0,   max: 200, step: 5,   unit: 'ms',   label: 'Smoothing (0 = instant)', group: 'processing', preset: false },
+    monoDownmix:      { type: 'string',  default: 'off', choices: { off: 'Off (stereo)', sum: 'Mono (L + R)', phase: 'Mono, phase-aware' }, label: 'Mono Downmix', group: 'channels' },
+    channelBalance:   { type: 'number',  default: 0,   min: -100, max: 100, step: 1, unit: 'balance', label: 'Balance',      group: 'channels' },
+    stereoWidth:      { type: 'number',  default: 100, min: 0,    max: 200, step: 5, unit: '%',       label: 'Stereo Width', group: 'channels' },
+    channelSwap:      { type: 'boolean', default: false, label: 'Swap Left / Right', group: 'channels' },
+    multiband:        { type: 'boolean', default: false, label: 'Multi-band', group: 'multiband' },
+    bandCount:        { type: 'number',  default: 3,    min: 3,    max: 4,     step: 1,   unit: 'bands', label: 'Bands',       group: 'multiband' },
+    crossover1:       { type: 'number',  default: 200,  min: 40,   max: 1000,  step: 10,  unit: 'Hz',    label: 'Crossover 1', group: 'multiband' },
+    crossover2:       { type: 'number',  default: 2000, min: 300,  max: 6000,  step: 50,  unit: 'Hz',    label: 'Crossover 2', group: 'multiband' },
+    crossover3:       { type: 'number',  default: 6000, min: 2000, max: 16000, step: 100, unit: 'Hz',    label: 'Crossover 3 (4 bands)', group: 'multiband' },
+    band1Threshold:   { type: 'number',  default: -20,  min: -60,  max: 0,     step: 1,   unit: 'dB',    label: 'Band 1 Threshold', group: 'multiband' },
+    band1Ratio:       { type: 'number',  default: 4,    min: 1,    max: 20,    step: 0.5, unit: ': 1',   label: 'Band 1 Ratio',     group: 'multiband' },
+    band2Threshold:   { type: 'number',  default: -24,  min: -60,  max: 0,     step: 1,   unit: 'dB',    label: 'Band 2 Threshold', group: 'multiband' },
+    band2Ratio:       { type: 'number',  default: 3,    min: 1,    max: 20,    step: 0.5, unit: ': 1',   label: 'Band 2 Ratio',     group: 'multiband' },
+    band3Threshold:   { type: 'number',  default: -24,  min: -60,  max: 0,     step: 1,   unit: 'dB',    label: 'Band 3 Threshold', group: 'multiband' },
+    band3Ratio:       { type: 'number',  default: 3,    min: 1,    max: 20,    step: 0.5, unit: ': 1',   label: 'Band 3 Ratio',     group: 'multiband' },
+    band4Threshold:   { type: 'number',  default: -28,  min: -60,  max: 0,     step: 1,   unit: 'dB',    label: 'Band 4 Threshold', group: 'multiband' },
+    band4Ratio:       { type: 'number',  default: 2.5,  min: 1,    max: 20,    step: 0.5, unit: ': 1',   label: 'Band 4 Ratio',     group: 'multiband' },
+    dialogue:             { type: 'boolean', default: false, label: 'Dialogue Mode', group: 'dialogue' },
+    dialogueHighpass:     { type: 'number',  default: 100,  min: 20,   max: 300,  step: 5,   unit: 'Hz', label: 'Voice High-pass',       group: 'dialogue' },
+    dialoguePresenceFreq: { type: 'number',  default: 3000, min: 1000, max: 5000, step: 100, unit: 'Hz', label: 'Presence Frequency',    group: 'dialogue' },
+    dialoguePresence:     { type: 'number',  default: 4,    min: 0,    max: 12,   step: 0.5, unit: 'dB', label: 'Presence Boost',        group: 'dialogue', signed: true },
+    dialogueSideLevel:    { type: 'number',  default: -6,   min: -24,  max: 0,    step: 1,   unit: 'dB', label: 'Side (Stereo) Level',   group: 'dialogue' },
+    dialogueSpeechAGC:    { type: 'boolean', default: true, label: 'Speech-gated Auto-Gain', group: 'dialogue' },
+    eq:              { type: 'boolean', default: false, label: 'Equalizer', group: 'eq' },
+    eqHighpass:      { type: 'number',  default: 20,    min: 20,   max: 1000,  step: 1,   unit: 'Hz', label: 'High-pass (min = off)', group: 'eq' },
+    eqLowShelfFreq:  { type: 'number',  default: 100,   min: 20,   max: 1000,  step: 1,   unit: 'Hz', label: 'Low Shelf Freq',   group: 'eq' },
+    eqLowShelfGain:  { type: 'number',  default: 0,     min: -15,  max: 15,    step: 0.5, unit: 'dB', label: 'Low Shelf Gain',   group: 'eq', signed: true },
+    eqPeak1Freq:     { type: 'number',  default: 250,   min: 20,   max: 20000, step: 1,   unit: 'Hz', label: 'Peak 1 Freq',      group: 'eq' },
+    eqPeak1Gain:     { type: 'number',  default: 0,     min: -15,  max: 15,    step: 0.5, unit: 'dB', label: 'Peak 1 Gain',      group: 'eq', signed: true },
+    eqPeak1Q:        { type: 'number',  default: 1,     min: 0.1,  max: 10,    step: 0.1, unit: '',   label: 'Peak 1 Q',         group: 'eq' },
+    eqPeak2Freq:     { type: 'number',  default: 1000,  min: 20,   max: 20000, step: 1,   unit: 'Hz', label: 'Peak 2 Freq',      group: 'eq' },
+    eqPeak2Gain:     { type: 'number',  default: 0,     min: -15,  max: 15,    step: 0.5, unit: 'dB', label: 'Peak 2 Gain',      group: 'eq', signed: true },
+    eqPeak2Q:        { type: 'number',  default: 1,     min: 0.1,  max: 10,    step: 0.1, unit: '',   label: 'Peak 2 Q',         group: 'eq' },
+    eqPeak3Freq:     { type: 'number',  default: 4000,  min: 20,   max: 20000, step: 1,   unit: 'Hz', label: 'Peak 3 Freq',      group: 'eq' },
+    eqPeak3Gain:     { type: 'number',  default: 0,     min: -15,  max: 15,    step: 0.5, unit: 'dB', label: 'Peak 3 Gain',      group: 'eq', signed: true },
+    eqPeak3Q:        { type: 'number',  default: 1,     min: 0.1,  max: 10,    step: 0.1, unit: '',   label: 'Peak 3 Q',         group: 'eq' },
+    eqHighShelfFreq: { type: 'number',  default: 8000,  min: 1000, max: 20000, step: 1,   unit: 'Hz', label: 'High Shelf Freq',  group: 'eq' },
+    eqHighShelfGain: { type: 'number',  default: 0,     min: -15,  max: 15,    step: 0.5, unit: 'dB', label: 'High Shelf Gain',  group: 'eq', signed: true },
+    eqLowpass:       { type: 'number',  default: 20000, min: 1000, max: 20000, step: 1,   unit: 'Hz', label: 'Low-pass (max = off)', group: 'eq' },
+    eqPost:          { type: 'boolean', default: false, label: 'Post-compressor EQ', group: 'eq' },
+    eqPostLowFreq:   { type: 'number',  default: 120,   min: 20,   max: 1000,  step: 1,   unit: 'Hz', label: 'Post Low Shelf Freq',  group: 'eq' },
+    eqPostLowGain:   { type: 'number',  default: 0,     min: -15,  max: 15,    step: 0.5, unit: 'dB', label: 'Post Low Shelf Gain',  group: 'eq', signed: true },
+    eqPostHighFreq:  { type: 'number',  default: 8000,  min: 1000, max: 20000, step: 1,   unit: 'Hz', label: 'Post High Shelf Freq', group: 'eq' },
+    eqPostHighGain:  { type: 'number',  default: 0,     min: -15,  max: 15,    step: 0.5, unit: 'dB', label: 'Post High Shelf Gain', group: 'eq', signed: true },
+    adAware:         { type: 'boolean', default: true,  label: 'Ad-aware Gain',  group: 'ads', preset: false },
+    adFixedGain:     { type: 'boolean', default: false, label: 'Fixed Ad Gain',  group: 'ads', preset: false },
+    adGain:          { type: 'number',  default: -6,    min: -30,  max: 0,     step: 1,   unit: 'dB', label: 'Ad Gain', group: 'ads', preset: false },
+    nightMode:       { type: 'boolean', default: false, label: 'Night Mode', group: 'night', preset: false },
+    nightThreshold:  { type: 'number',  default: -40,   min: -60,  max: 0,     step: 1,   unit: 'dB',   label: 'Night Threshold (at most)', group: 'night', preset: false },
+    nightRatio:      { type: 'number',  default: 8,     min: 1,    max: 20,    step: 0.5, unit: ': 1',  label: 'Night Ratio (at least)',    group: 'night', preset: false },
+    nightCeiling:    { type: 'number',  default: -6,    min: -20,  max: -1,    step: 0.5, unit: 'dBTP', label: 'Night Ceiling',             group: 'night', preset: false },
+    nightMaxGain:    { type: 'number',  default: 6,     min: 0,    max: 24,    step: 1,   unit: 'dB',   label: 'Night Max Auto-Gain',       group: 'night', preset: false, signed: true },
+    nightSchedule:   { type: 'boolean', default: false, label: 'Switch On by Schedule', group: 'night', preset: false, global: true },
+    nightStart:      { type: 'number',  default: 1320,  min: 0,    max: 1425,  step: 15,  unit: 'time', label: 'From', group: 'night', preset: false, global: true },
+    nightEnd:        { type: 'number',  default: 420,   min: 0,    max: 1425,  step: 15,  unit: 'time', label: 'Until', group: 'night', preset: false, global: true },
+    badge:           { type: 'string',  default: 'status', choices: { status: 'On / Off', gain: 'Auto-gain (dB)', preset: 'Preset initial', none: 'Nothing' }, label: 'Toolbar Badge', group: 'toolbar', preset: false }
+  };
+
+  const GROUPS = {
+    loudness:   'Loudness',
+    compressor: 'Compressor',
+    limiter:    'Limiter',
+    processing: 'Processing',
+    channels:   'Channels',
+    multiband:  'Multi-band Compression',
+    dialogue:   'Dialogue',
+    eq:         'Equalizer',
+    ads:        'Ads',
+    night:      'Night Mode',
+    toolbar:    'Toolbar'
+  };
+
+  const DEFAULTS = {};
+  Object.keys(FIELDS).forEach((k) => { DEFAULTS[k] = FIELDS[k].default; });
+
+  const PRESET_KEYS = Object.keys(FIELDS).filter((k) => FIELDS[k].preset !== false);
+  const GLOBAL_KEYS = Object.keys(FIELDS).filter((k) => FIELDS[k].global);
+
+  // ─── Storage keys ──────────────────────────────────────────
+  const STORAGE = {
+    settings:      'normalizerSettings', // sync — global settings
+    profilePrefix: 'profile:',           // sync — one key per channel / site profile
+    presetPrefix:  'preset:',            // sync — one key per user preset
+    memoryPrefix:  'memory:',            // local — one key per video's loudness
+    legacyMemory:  'loudnessMemory',     // local — all of it under one key, before memoryPrefix
+    view:          'popupView',          // local — popup graph window and spectrum toggle
+    tabs:          'tabStatus',          // session — normalizer state per tab, for the badge
+    night:         'nightScheduled',     // local — whether the night schedule is on now
+    stats:         'loudnessStats',      // local — rolling history of listening sessions
+    sessionPrefix: 'statsSession:',      // local — one key per open listening session
+    statsCleared:  'statsCleared',       // local — when the statistics were last cleared
+    version:       'settingsVersion'     // sync — schema VERSION of the stored settings
+  };
+
+  // ─── Migrations ────────────────────────────────────────────
+  // Stored settings, profiles and presets follow schema VERSION
+  // (STORAGE.version; unversioned data predates it and counts as
+  // 1). Fields that are only added need nothing, withDefaults fills
+  // them in. When a field is renamed or changes meaning, bump
+  // VERSION and add MIGRATIONS[VERSION]: a function taking a stored
+  // object from the previous version to the new one.
+  const VERSION = 1;
+  const MIGRATIONS = {};
+
+  function migrate(stored, from) {
+    let out = stored && typeof stored === 'object' ? { ...stored } : {};
+    for (let v = Math.max(1, from || 1) + 1; v <= VERSION; v++) {
+      if (MIGRATIONS[v]) out = MIGRATIONS[v](out);
+    }
+    return out;
+  }
+
+  // ─── Validation ────────────────────────────────────────────
+  // Returns only the known, well-typed fields of `input`, with
+  // numbers clamped to their range and snapped to their step.
+  function sanitize(input) {
+    const out = {};
+    if (!input || typeof input !== 'object') return out;
+    Object.keys(input).forEach((k) => {
+      const f = FIELDS[k];
+      const v = input[k];
+      if (!f) return;
+      if (f.type === 'number') {
+        const n = typeof v === 'string' ? parseFloat(v) : v;
+        if (typeof n !== 'number' || !Number.isFinite(n)) return;
+        const snapped = f.step ? Math.round((n - f.min) / f.step) * f.step + f.min : n;
+        out[k] = Math.max(f.min, Math.min(f.max, parseFloat(snapped.toFixed(6))));
+      } else if (typeof v === f.type && (!f.choices || Object.prototype.hasOwnProperty.call(f.choices, v))) {
+        out[k] = v;
+      }
+    });
+    return out;
+  }
+
+  // Full settings object: defaults overlaid with valid stored values
+  function withDefaults(stored) {
+    return { ...DEFAULTS, ...sanitize(stored) };
+  }
+
+  // Settings a preset carries
+  function pickPresetFields(settings) {
+    const out = {};
+    PRESET_KEYS.forEach((k) => {
+      if (settings && k in settings) out[k] = settings[k];
+    });
+    return sanitize(out);
+  }
+
+  // Human-readable value with unit, e.g. "+6 dB", "4 : 1", "22:00", "L 20"
+  function format(key, value) {
+    const f = FIELDS[key];
+    if (f && f.choices) return f.choices[value] || String(value);
+    if (!f || f.type !== 'number') return String(value);
+    if (f.unit === 'time') {
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${pad(Math.floor(value / 60))}:${pad(value % 60)}`;
+    }
+    if (f.unit === 'balance') return value ? `${value < 0 ? 'L' : 'R'} ${Math.abs(value)}` : 'Centre';
+    const sign = f.signed && value >= 0 ? '+' : '';
+    return f.unit ? `${sign}${value} ${f.unit}` : `${sign}${value}`;
+  }
+
+  root.NormalizerSettings = {
+    VERSION,
+    FIELDS,
+    GROUPS,
+    DEFAULTS,
+    PRESET_KEYS,
+    GLOBAL_KEYS,
+    STORAGE,
+    migrate,
+    sanitize,
+    withDefaults,
+    pickPresetFields,
+    format
+  };
+  if (typeof module === 'object') module.exports = root.NormalizerSettings;
+})(globalThis);
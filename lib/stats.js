@@ -0,0 +1,181 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Loudness Statistics
+// One session per play-through of a programme: how loud it came
+// in and went out, its loudest moment and peak, how long the
+// limiter worked and how much gain was applied. The content
+// script saves each open session under its own key in local
+// storage; the service worker moves ended sessions into a rolling
+// history. The options page summarises them per video and per
+// channel and exports them as CSV or JSON.
+// ─────────────────────────────────────────────────────────────
+
+(function (root) {
+  'use strict';
+
+  const Gain = root.NormalizerGain || require('./gain.js');
+
+  const MAX_SESSIONS = 1000;   // oldest sessions are dropped
+  const TICK_SEC = 0.1;        // one metering tick
+  const LIMITING_DB = -0.1;    // limiter reduction deeper than this counts as limiting
+  const FILE_FORMAT = 'yt-audio-normalizer-stats';
+  const SCHEMA_VERSION = 1;
+
+  // The larger of a stored value (null when unset) and a reading
+  const higher = (a, b) => (!Number.isFinite(b) ? a : a === null ? b : Math.max(a, b));
+  // Integrated loudness once the meter has gated audio, else `before`
+  const integrated = (l, before) => (l.gatedSeconds > 0 && Number.isFinite(l.integrated) ? l.integrated : before);
+
+  // ─── Sessions ──────────────────────────────────────────────
+  // `programme` is the video ID, or album:<id> in album mode
+  function create({ programme, title, channel, started = Date.now() }) {
+    const session = {
+      id: `${programme}@${started}`,
+      programme,
+      title: '',
+      channel: '',
+      channelKey: '',
+      started,
+      updated: started,
+      seconds: 0,               // time with audio above the silence gate
+      inputIntegrated: null,    // LUFS
+      outputIntegrated: null,
+      inputMaxMomentary: null,
+      outputMaxMomentary: null,
+      peak: null,               // highest true peak reaching the limiter, dBTP
+      limitingSeconds: 0,
+      averageGain: 0            // auto-gain, dB, averaged over `seconds`
+    };
+    describe(session, { title, channel });
+    return session;
+  }
+
+  // Sets what is known of the title and of the uploader, given as
+  // { key, name }
+  function describe(session, { title, channel }) {
+    if (title) session.title = title;
+    if (channel && channel.key) {
+      session.channelKey = channel.key;
+      session.channel = channel.name || channel.key;
+    }
+  }
+
+  // Adds one metering tick. Silent ticks count for nothing.
+  //   levels — the chain's { input, output, limiterReduction, peak }
+  //   gain   — auto-gain applied this tick, dB
+  function tick(session, levels, gain) {
+    const { input, output } = levels;
+    if (!(input.momentary > Gain.GATE_LUFS)) return;
+    session.seconds += TICK_SEC;
+    session.averageGain += (gain - session.averageGain) * TICK_SEC / session.seconds;
+    session.inputMaxMomentary  = higher(session.inputMaxMomentary, input.momentary);
+    session.outputMaxMomentary = higher(session.outputMaxMomentary, output.momentary);
+    session.peak = higher(session.peak, levels.peak);
+    if (levels.limiterReduction < LIMITING_DB) session.limitingSeconds += TICK_SEC;
+    session.inputIntegrated  = integrated(input, session.inputIntegrated);
+    session.outputIntegrated = integrated(output, session.outputIntegrated);
+  }
+
+  // The history with `session` added or updated, newest first
+  function record(history, session) {
+    const rest = (history || []).filter((s) => s.id !== session.id);
+    return [session, ...rest]
+      .sort((a, b) => b.started - a.started)
+      .slice(0, MAX_SESSIONS);
+  }
+
+  // The history with `sessions` (saved open sessions) added, less
+  // every session begun before `cleared`, when the statistics were
+  // last cleared. A write that raced a clear thus brings nothing
+  // back.
+  function merge(history, sessions, cleared = 0) {
+    return (sessions || [])
+      .reduce((h, { ended, ...session }) => record(h, session), history || [])
+      .filter((s) => s.started >= cleared);
+  }
+
+  // ─── Summaries ─────────────────────────────────────────────
+  // Integrated values combine as energy, weighted by time
+  function energyMean(pairs) {
+    const known = pairs.filter(([v, t]) => v !== null && t > 0);
+    const time = known.reduce((sum, [, t]) => sum + t, 0);
+    if (!time) return null;
+    const energy = known.reduce((sum, [v, t]) => sum + t * Math.pow(10, v / 10), 0);
+    return 10 * Math.log10(energy / time);
+  }
+
+  // One row per video ('programme') or per channel ('channel'),
+  // the ones needing the most correction first. `correction` is
+  // output minus input integrated loudness.
+  function summarize(history, by) {
+    const key = by === 'channel' ? 'channelKey' : 'programme';
+    const groups = new Map();
+    (history || []).forEach((s) => {
+      if (!s[key]) return;
+      if (!groups.has(s[key])) groups.set(s[key], []);
+      groups.get(s[key]).push(s);
+    });
+    const rows = [...groups].map(([id, list]) => {
+      const seconds = list.reduce((sum, s) => sum + s.seconds, 0);
+      const input = energyMean(list.map((s) => [s.inputIntegrated, s.seconds]));
+      const output = energyMean(list.map((s) => [s.outputIntegrated, s.seconds]));
+      const newest = list.reduce((a, b) => (b.updated > a.updated ? b : a));
+      return {
+        id,
+        label: (by === 'channel' ? newest.channel : newest.title) || id,
+        channel: newest.channel,
+        sessions: list.length,
+        seconds,
+        inputIntegrated: input,
+        outputIntegrated: output,
+        correction: input !== null && output !== null ? output - input : null,
+        maxMomentary: list.reduce((m, s) => higher(m, s.outputMaxMomentary), null),
+        peak: list.reduce((m, s) => higher(m, s.peak), null),
+        limitingSeconds: list.reduce((sum, s) => sum + s.limitingSeconds, 0),
+        averageGain: seconds ? list.reduce((sum, s) => sum + s.averageGain * s.seconds, 0) / seconds : 0,
+        last: newest.updated
+      };
+    });
+    const size = (r) => Math.abs(r.correction !== null ? r.correction : r.averageGain);
+    return rows.sort((a, b) => size(b) - size(a));
+  }
+
+  // ─── Export ────────────────────────────────────────────────
+  // Text cells that a spreadsheet would run as a formula are
+  // prefixed with an apostrophe
+  function csvCell(v) {
+    if (v === null || v === undefined) return '';
+    if (typeof v === 'number') return Number.isFinite(v) ? String(Math.round(v * 100) / 100) : '';
+    let text = String(v);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // `columns` lists the keys of `rows` to write, in order
+  function toCSV(rows, columns) {
+    return [columns, ...rows.map((r) => columns.map((c) => r[c]))]
+      .map((cells) => cells.map(csvCell).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  function exportJSON(history) {
+    return JSON.stringify({
+      format: FILE_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exported: new Date().toISOString(),
+      sessions: history || []
+    }, null, 2);
+  }
+
+  root.NormalizerStats = {
+    MAX_SESSIONS,
+    create,
+    describe,
+    tick,
+    record,
+    merge,
+    summarize,
+    toCSV,
+    exportJSON
+  };
+  if (typeof module === 'object') module.exports = root.NormalizerStats;
+})(globalThis);
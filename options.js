@@ -0,0 +1,622 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Options Page
+// Manages global defaults, user presets, channel / site rules,
+// stored per-video loudness, listening statistics and
+// configuration backups. Every
+// form is generated from the shared schema in lib/settings.js.
+// ─────────────────────────────────────────────────────────────
+
+(function () {
+  'use strict';
+
+  const $  = (s) => document.querySelector(s);
+  const $$ = (s) => document.querySelectorAll(s);
+  const Settings = globalThis.NormalizerSettings;
+  const Presets  = globalThis.NormalizerPresets;
+  const EQEditor = globalThis.NormalizerEQEditor;
+  const Stats    = globalThis.NormalizerStats;
+  const { STORAGE } = Settings;
+
+  const CONFIG_FORMAT  = 'yt-audio-normalizer-config';
+  const CONFIG_VERSION = 1;
+
+  // Fields edited on this page; the preset selection is left alone
+  const SETTING_KEYS = Object.keys(Settings.FIELDS).filter((k) => k !== 'preset');
+  // Rules can't override global fields such as the night schedule
+  const PROFILE_KEYS = SETTING_KEYS.filter((k) => !Settings.GLOBAL_KEYS.includes(k));
+
+  // ─── Storage helpers ───────────────────────────────────────
+  const syncGet     = (keys) => new Promise((r) => chrome.storage.sync.get(keys, r));
+  const syncSet     = (items) => new Promise((r) => chrome.storage.sync.set(items, r));
+  const syncRemove  = (keys) => new Promise((r) => chrome.storage.sync.remove(keys, r));
+  const localGet    = (keys) => new Promise((r) => chrome.storage.local.get(keys, r));
+  const localSet    = (items) => new Promise((r) => chrome.storage.local.set(items, r));
+  const localRemove = (keys) => new Promise((r) => chrome.storage.local.remove(keys, r));
+
+  // ─── Feedback ──────────────────────────────────────────────
+  let toastTimer = null;
+  function toast(text, isError) {
+    const el = $('#toast');
+    el.textContent = text;
+    el.classList.toggle('error', !!isError);
+    el.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => { el.hidden = true; }, 2500);
+  }
+
+  // Runs an action, turning thrown errors into an error toast
+  async function attempt(fn) {
+    try {
+      const msg = await fn();
+      if (msg) toast(msg);
+    } catch (e) {
+      toast(e.message, true);
+    }
+  }
+
+  function download(text, filename, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function readFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    return file ? file.text() : Promise.resolve(null);
+  }
+
+  // ─── Schema-driven settings form ───────────────────────────
+  // Builds one control per field, grouped as in the schema, and
+  // returns accessors for its values. The EQ group also gets a
+  // curve editor kept in step with its sliders.
+  function createForm(container, keys) {
+    const inputs = {};
+    const groups = {};
+
+    keys.forEach((k) => {
+      const f = Settings.FIELDS[k];
+      const group = f.group || 'general';
+      if (!groups[group]) {
+        const fs = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = Settings.GROUPS[group] || 'General';
+        fs.appendChild(legend);
+        groups[group] = fs;
+      }
+
+      const row = document.createElement('label');
+      row.className = 'field';
+      const name = document.createElement('span');
+      name.textContent = f.label;
+      const value = document.createElement('span');
+      value.className = 'field-value';
+
+      let input;
+      if (f.choices) {
+        input = document.createElement('select');
+        Object.keys(f.choices).forEach((c) => input.add(new Option(f.choices[c], c)));
+      } else if (f.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+      } else {
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min  = f.min;
+        input.max  = f.max;
+        input.step = f.step;
+        input.addEventListener('input', () => {
+          value.textContent = Settings.format(k, parseFloat(input.value));
+        });
+      }
+
+      row.append(name, input, value);
+      groups[group].appendChild(row);
+      inputs[k] = { input, value };
+    });
+
+    container.replaceChildren(...Object.values(groups));
+
+    const read = () => {
+      const out = {};
+      keys.forEach((k) => {
+        const { input } = inputs[k];
+        if (input.type === 'checkbox') out[k] = input.checked;
+        else if (input.tagName === 'SELECT') out[k] = input.value;
+        else out[k] = parseFloat(input.value);
+      });
+      return Settings.sanitize(out);
+    };
+
+    let eqEditor = null;
+    if (groups.eq) {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'eq-curve';
+      groups.eq.querySelector('legend').after(canvas);
+      eqEditor = EQEditor.create(canvas, {
+        onInput(values) {
+          Object.keys(values).forEach((k) => {
+            inputs[k].input.value = values[k];
+            inputs[k].value.textContent = Settings.format(k, values[k]);
+          });
+        }
+      });
+      groups.eq.addEventListener('input', () => eqEditor.set(read()));
+    }
+
+    return {
+      set(values) {
+        keys.forEach((k) => {
+          const { input, value } = inputs[k];
+          const v = k in values ? values[k] : Settings.DEFAULTS[k];
+          if (input.type === 'checkbox') {
+            input.checked = !!v;
+          } else {
+            input.value = v;
+            if (input.tagName !== 'SELECT') value.textContent = Settings.format(k, v);
+          }
+        });
+        if (eqEditor) eqEditor.set(read());
+      },
+      get: read
+    };
+  }
+
+  // ─── Tabs ──────────────────────────────────────────────────
+  const tabLoaders = {};
+
+  function showTab(name) {
+    $$('.tab').forEach((t) => t.classList.toggle('active', t.dataset.tab === name));
+    $$('.panel').forEach((p) => { p.hidden = p.id !== `panel-${name}`; });
+    if (tabLoaders[name]) tabLoaders[name]();
+  }
+
+  // ─── Defaults ──────────────────────────────────────────────
+  const defaultsForm = createForm($('#defaultsForm'), SETTING_KEYS);
+
+  tabLoaders.defaults = async () => {
+    const res = await syncGet(STORAGE.settings);
+    defaultsForm.set(Settings.withDefaults(res[STORAGE.settings]));
+  };
+
+  async function saveDefaults(values) {
+    const res = await syncGet(STORAGE.settings);
+    const current = Settings.withDefaults(res[STORAGE.settings]);
+    await syncSet({ [STORAGE.settings]: Settings.withDefaults({ ...current, ...values }) });
+  }
+
+  // ─── Presets ───────────────────────────────────────────────
+  const presetForm = createForm($('#presetForm'), Settings.PRESET_KEYS);
+  let selectedPreset = null;   // id, or '' for a new unsaved preset
+
+  function renderList(listEl, items, selected, emptyText) {
+    if (!items.length) {
+      const li = document.createElement('li');
+      li.className = 'empty';
+      li.textContent = emptyText;
+      listEl.replaceChildren(li);
+      return;
+    }
+    listEl.replaceChildren(...items.map((item) => {
+      const li = document.createElement('li');
+      li.dataset.id = item.id;
+      li.classList.toggle('active', item.id === selected);
+      if (item.tag) {
+        const tag = document.createElement('span');
+        tag.className = 'tag';
+        tag.textContent = item.tag;
+        li.appendChild(tag);
+      }
+      li.appendChild(document.createTextNode(item.label));
+      li.title = item.label;
+      return li;
+    }));
+  }
+
+  tabLoaders.presets = async () => {
+    const user = (await Presets.list()).filter((p) => !p.builtin);
+    renderList($('#presetList'), user.map((p) => ({ id: p.id, label: p.name })),
+      selectedPreset, 'No user presets yet');
+    $('#presetEditor').hidden = selectedPreset === null;
+  };
+
+  async function editPreset(id) {
+    selectedPreset = id;
+    const p = id ? await Presets.get(id) : null;
+    $('#presetNameInput').value = p ? p.name : '';
+    presetForm.set(p ? p.settings : Settings.DEFAULTS);
+    $('#deletePresetBtn').hidden = !p;
+    await tabLoaders.presets();
+  }
+
+  // ─── Channel & site rules ──────────────────────────────────
+  const profileForm = createForm($('#profileForm'), PROFILE_KEYS);
+  let selectedProfile = null;  // full storage key
+
+  function describeProfileKey(key) {
+    const [scope, ...rest] = key.slice(STORAGE.profilePrefix.length).split(':');
+    return { scope, target: rest.join(':') };
+  }
+
+  // Accepts @handle, UC… IDs and youtube.com channel URLs
+  function parseChannelTarget(text) {
+    const t = text.trim();
+    const handle = t.match(/(?:^|\/)(@[^/?#\s]+)/);
+    if (handle) return decodeURIComponent(handle[1]);
+    const id = t.match(/(UC[\w-]{22})/);
+    if (id) return id[1];
+    throw new Error('Enter a channel @handle, UC… ID or channel URL');
+  }
+
+  tabLoaders.profiles = async () => {
+    const all = await syncGet(null);
+    const items = Object.keys(all)
+      .filter((k) => k.startsWith(STORAGE.profilePrefix))
+      .map((k) => ({ id: k, tag: describeProfileKey(k).scope, label: all[k].label || describeProfileKey(k).target }))
+      .sort((a, b) => a.tag.localeCompare(b.tag) || a.label.localeCompare(b.label));
+    renderList($('#profileList'), items, selectedProfile, 'No rules yet');
+    $('#profileEditor').hidden = !selectedProfile;
+  };
+
+  async function editProfile(key) {
+    selectedProfile = key;
+    const res = await syncGet(key);
+    const profile = res[key] || {};
+    $('#profileLabelInput').value = profile.label || describeProfileKey(key).target;
+    $('#profileKey').textContent = key.slice(STORAGE.profilePrefix.length);
+    profileForm.set(Settings.withDefaults(profile.settings));
+    await tabLoaders.profiles();
+  }
+
+  // New rules start from the current defaults
+  async function addRule() {
+    const scope = $('#ruleScope').value;
+    const target = scope === 'site' ? $('#ruleSite').value : parseChannelTarget($('#ruleTarget').value);
+    const key = `${STORAGE.profilePrefix}${scope}:${target}`;
+    const res = await syncGet([key, STORAGE.settings]);
+    if (res[key]) throw new Error('A rule for that already exists');
+    const label = scope === 'site'
+      ? $('#ruleSite').selectedOptions[0].textContent
+      : target;
+    await syncSet({ [key]: { label, settings: Settings.withDefaults(res[STORAGE.settings]) } });
+    $('#ruleTarget').value = '';
+    await editProfile(key);
+    return `Added rule for ${label}`;
+  }
+
+  // ─── Loudness memory ───────────────────────────────────────
+  const fmt = (v, digits = 1) => (Number.isFinite(v) ? v.toFixed(digits) : '—');
+
+  // Single row spanning the table, for empty tables
+  function placeholderRow(colSpan, text) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = colSpan;
+    td.className = 'muted';
+    td.textContent = text;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  // Link to a video, or to an album in album mode
+  function programmeLink(id, text) {
+    const link = document.createElement('a');
+    const album = id.startsWith('album:') && id.slice(6);
+    link.href = album
+      ? `https://music.youtube.com/browse/${encodeURIComponent(album)}`
+      : `https://www.youtube.com/watch?v=${encodeURIComponent(id)}`;
+    link.target = '_blank';
+    link.textContent = text || (album ? `Album ${album}` : id);
+    return link;
+  }
+
+  // One key per video (STORAGE.memoryPrefix + ID), so forgetting
+  // here never races a player saving another video
+  async function readMemory() {
+    const all = await localGet(null);
+    const memory = {};
+    Object.keys(all)
+      .filter((k) => k.startsWith(STORAGE.memoryPrefix))
+      .forEach((k) => { memory[k.slice(STORAGE.memoryPrefix.length)] = all[k]; });
+    return memory;
+  }
+
+  tabLoaders.memory = async () => {
+    const memory = await readMemory();
+    const ids = Object.keys(memory).sort((a, b) => memory[b].used - memory[a].used);
+    const tbody = $('#memoryRows');
+
+    if (!ids.length) {
+      tbody.replaceChildren(placeholderRow(6, 'Nothing remembered yet.'));
+      return;
+    }
+
+    tbody.replaceChildren(...ids.map((id) => {
+      const e = memory[id];
+      const tr = document.createElement('tr');
+      const cells = [
+        programmeLink(id),
+        `${fmt(e.integrated)} LUFS`,
+        `${e.gain >= 0 ? '+' : ''}${fmt(e.gain)} dB`,
+        `${fmt(e.targetLevel, 0)} LUFS`,
+        new Date(e.used).toLocaleString()
+      ];
+      const forget = document.createElement('button');
+      forget.className = 'btn btn-danger';
+      forget.textContent = 'Forget';
+      forget.dataset.forget = id;
+      cells.push(forget);
+      cells.forEach((c) => {
+        const td = document.createElement('td');
+        td.append(c);
+        tr.appendChild(td);
+      });
+      return tr;
+    }));
+  };
+
+  async function forgetVideo(id) {
+    await localRemove(STORAGE.memoryPrefix + id);
+    await tabLoaders.memory();
+  }
+
+  // ─── Statistics ────────────────────────────────────────────
+  // Each view lists its columns; CSV export writes the same keys
+  // with unformatted values, plus the video or channel ID.
+  const fmtDB = (v) => (Number.isFinite(v) ? `${v >= 0 ? '+' : ''}${v.toFixed(1)} dB` : '—');
+  const fmtDuration = (sec) => `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, '0')}`;
+
+  const STAT_COLUMNS = {
+    channel:            { label: 'Channel',       text: (v) => v || '—' },
+    sessions:           { label: 'Plays',         text: String },
+    started:            { label: 'Played',        text: (v) => new Date(v).toLocaleString() },
+    last:               { label: 'Last played',   text: (v) => new Date(v).toLocaleString() },
+    seconds:            { label: 'Listened',      text: fmtDuration },
+    inputIntegrated:    { label: 'In',            text: (v) => `${fmt(v)} LUFS` },
+    outputIntegrated:   { label: 'Out',           text: (v) => `${fmt(v)} LUFS` },
+    correction:         { label: 'Correction',    text: fmtDB },
+    averageGain:        { label: 'Avg auto-gain', text: fmtDB },
+    maxMomentary:       { label: 'Max momentary', text: (v) => `${fmt(v)} LUFS` },
+    outputMaxMomentary: { label: 'Max momentary', text: (v) => `${fmt(v)} LUFS` },
+    peak:               { label: 'Peak',          text: (v) => `${fmt(v)} dBTP` },
+    limitingSeconds:    { label: 'Limiting',      text: fmtDuration }
+  };
+
+  const STAT_TOTALS = ['seconds', 'inputIntegrated', 'outputIntegrated', 'correction', 'averageGain',
+                       'maxMomentary', 'peak', 'limitingSeconds'];
+  const STATS_VIEWS = {
+    programme: { name: 'Video',   id: 'id',        keys: ['label', 'channel', 'sessions', ...STAT_TOTALS, 'last'] },
+    channel:   { name: 'Channel', id: 'id',        keys: ['label', 'sessions', ...STAT_TOTALS, 'last'] },
+    sessions:  { name: 'Video',   id: 'programme', keys: ['title', 'channel', 'started', 'seconds', 'inputIntegrated',
+                                                          'outputIntegrated', 'averageGain', 'outputMaxMomentary',
+                                                          'peak', 'limitingSeconds'] }
+  };
+
+  // The history and the sessions still open in some tab
+  async function readStats() {
+    const all = await localGet(null);
+    const open = Object.keys(all).filter((k) => k.startsWith(STORAGE.sessionPrefix)).map((k) => all[k]);
+    return Stats.merge(all[STORAGE.stats], open, all[STORAGE.statsCleared]);
+  }
+
+  async function statsRows(view) {
+    const history = await readStats();
+    return view === 'sessions' ? history : Stats.summarize(history, view);
+  }
+
+  tabLoaders.stats = async () => {
+    const view = $('#statsView').value;
+    const { name, id, keys } = STATS_VIEWS[view];
+    const rows = await statsRows(view);
+
+    $('#statsHead').replaceChildren(...keys.map((k) => {
+      const th = document.createElement('th');
+      th.textContent = STAT_COLUMNS[k] ? STAT_COLUMNS[k].label : name;
+      return th;
+    }));
+    const tbody = $('#statsRows');
+    if (!rows.length) {
+      tbody.replaceChildren(placeholderRow(keys.length, 'Nothing recorded yet.'));
+      return;
+    }
+
+    tbody.replaceChildren(...rows.map((r) => {
+      const tr = document.createElement('tr');
+      keys.forEach((k) => {
+        const td = document.createElement('td');
+        if (STAT_COLUMNS[k]) td.textContent = STAT_COLUMNS[k].text(r[k]);
+        else if (view === 'channel') td.textContent = r[k];
+        else td.append(programmeLink(r[id], r[k]));
+        tr.appendChild(td);
+      });
+      return tr;
+    }));
+  };
+
+  async function exportStatsCSV() {
+    const view = $('#statsView').value;
+    const { id, keys } = STATS_VIEWS[view];
+    const rows = await statsRows(view);
+    download(Stats.toCSV(rows, [id, ...keys]), `yt-normalizer-stats-${view}.csv`, 'text/csv');
+    return `Exported ${rows.length} row(s)`;
+  }
+
+  // ─── Configuration backup ──────────────────────────────────
+  async function exportConfig() {
+    const all = await syncGet(null);
+    const profiles = {};
+    Object.keys(all)
+      .filter((k) => k.startsWith(STORAGE.profilePrefix))
+      .forEach((k) => { profiles[k.slice(STORAGE.profilePrefix.length)] = all[k]; });
+    const presets = (await Presets.list())
+      .filter((p) => !p.builtin)
+      .map(({ name, settings }) => ({ name, settings }));
+
+    return JSON.stringify({
+      format: CONFIG_FORMAT,
+      schemaVersion: CONFIG_VERSION,
+      exported: new Date().toISOString(),
+      settings: Settings.withDefaults(all[STORAGE.settings]),
+      profiles,
+      presets
+    }, null, 2);
+  }
+
+  // Everything is validated before the first write
+  async function importConfig(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('File is not valid JSON');
+    }
+    if (!data || data.format !== CONFIG_FORMAT) throw new Error('Not a YT Normalizer configuration file');
+    if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+      throw new Error('Missing or invalid schemaVersion');
+    }
+    if (data.schemaVersion > CONFIG_VERSION) {
+      throw new Error(`Configuration uses schema v${data.schemaVersion}; this version supports v${CONFIG_VERSION}`);
+    }
+
+    const items = {};
+    if (data.settings) items[STORAGE.settings] = Settings.withDefaults(data.settings);
+    Object.keys(data.profiles || {}).forEach((k) => {
+      if (!/^(channel|site):.+/.test(k)) throw new Error(`Invalid rule "${k}"`);
+      const p = data.profiles[k] || {};
+      items[STORAGE.profilePrefix + k] = {
+        label: String(p.label || k),
+        settings: Settings.withDefaults(p.settings)
+      };
+    });
+    const presets = Presets.parsePresetList(data.presets || []);
+
+    await syncSet(items);
+    await Presets.mergePresets(presets);
+    return `Imported ${Object.keys(data.profiles || {}).length} rule(s) and ${presets.length} preset(s)`;
+  }
+
+  // ─── Event wiring ──────────────────────────────────────────
+  function bindEvents() {
+    $$('.tab').forEach((t) => t.addEventListener('click', () => showTab(t.dataset.tab)));
+
+    // Defaults
+    $('#saveDefaultsBtn').addEventListener('click', () => attempt(async () => {
+      await saveDefaults(defaultsForm.get());
+      return 'Defaults saved';
+    }));
+    $('#restoreDefaultsBtn').addEventListener('click', () => attempt(async () => {
+      await syncSet({ [STORAGE.settings]: { ...Settings.DEFAULTS } });
+      await tabLoaders.defaults();
+      return 'Factory defaults restored';
+    }));
+
+    // Presets
+    $('#presetList').addEventListener('click', (e) => {
+      const li = e.target.closest('li[data-id]');
+      if (li) editPreset(li.dataset.id);
+    });
+    $('#newPresetBtn').addEventListener('click', () => editPreset(''));
+    $('#savePresetBtn').addEventListener('click', () => attempt(async () => {
+      const id = await Presets.save({
+        id: selectedPreset || undefined,
+        name: $('#presetNameInput').value,
+        settings: presetForm.get()
+      });
+      await editPreset(id);
+      return 'Preset saved';
+    }));
+    $('#deletePresetBtn').addEventListener('click', () => attempt(async () => {
+      await Presets.remove(selectedPreset);
+      selectedPreset = null;
+      await tabLoaders.presets();
+      return 'Preset deleted';
+    }));
+
+    // Rules
+    $('#ruleScope').addEventListener('change', () => {
+      const site = $('#ruleScope').value === 'site';
+      $('#ruleTarget').hidden = site;
+      $('#ruleSite').hidden = !site;
+    });
+    $('#addRuleBtn').addEventListener('click', () => attempt(addRule));
+    $('#profileList').addEventListener('click', (e) => {
+      const li = e.target.closest('li[data-id]');
+      if (li) editProfile(li.dataset.id);
+    });
+    $('#saveProfileBtn').addEventListener('click', () => attempt(async () => {
+      const res = await syncGet(selectedProfile);
+      const current = (res[selectedProfile] || {}).settings;
+      await syncSet({
+        [selectedProfile]: {
+          label: $('#profileLabelInput').value.trim() || describeProfileKey(selectedProfile).target,
+          settings: { ...Settings.withDefaults(current), ...profileForm.get() }
+        }
+      });
+      await tabLoaders.profiles();
+      return 'Rule saved';
+    }));
+    $('#deleteProfileBtn').addEventListener('click', () => attempt(async () => {
+      await syncRemove(selectedProfile);
+      selectedProfile = null;
+      await tabLoaders.profiles();
+      return 'Rule deleted';
+    }));
+
+    // Loudness memory
+    $('#memoryRows').addEventListener('click', (e) => {
+      const id = e.target.dataset && e.target.dataset.forget;
+      if (id) attempt(() => forgetVideo(id));
+    });
+    $('#clearMemoryBtn').addEventListener('click', () => attempt(async () => {
+      const ids = Object.keys(await readMemory());
+      await localRemove(ids.map((id) => STORAGE.memoryPrefix + id));
+      await tabLoaders.memory();
+      return 'All videos forgotten';
+    }));
+
+    // Statistics
+    $('#statsView').addEventListener('change', () => tabLoaders.stats());
+    $('#exportStatsCsvBtn').addEventListener('click', () => attempt(exportStatsCSV));
+    $('#exportStatsJsonBtn').addEventListener('click', () => attempt(async () => {
+      const history = await readStats();
+      download(Stats.exportJSON(history), 'yt-normalizer-stats.json');
+      return `Exported ${history.length} session(s)`;
+    }));
+    $('#clearStatsBtn').addEventListener('click', () => attempt(async () => {
+      // The stamp hides whatever a write already under way brings back
+      await localSet({ [STORAGE.statsCleared]: Date.now(), [STORAGE.stats]: [] });
+      await tabLoaders.stats();
+      return 'Statistics cleared';
+    }));
+
+    // Backup
+    $('#exportConfigBtn').addEventListener('click', () => attempt(async () => {
+      download(await exportConfig(), 'yt-normalizer-config.json');
+      return 'Configuration exported';
+    }));
+    $('#importConfigBtn').addEventListener('click', () => $('#importConfigFile').click());
+    $('#importConfigFile').addEventListener('change', () => attempt(async () => {
+      const text = await readFile($('#importConfigFile'));
+      return text ? importConfig(text) : '';
+    }));
+    $('#exportPresetsBtn').addEventListener('click', () => attempt(async () => {
+      download(await Presets.exportJSON(), 'yt-normalizer-presets.json');
+      return 'Presets exported';
+    }));
+    $('#importPresetsBtn').addEventListener('click', () => $('#importPresetsFile').click());
+    $('#importPresetsFile').addEventListener('change', () => attempt(async () => {
+      const text = await readFile($('#importPresetsFile'));
+      if (!text) return '';
+      return `Imported ${await Presets.importJSON(text)} preset(s)`;
+    }));
+  }
+
+  // ─── Init ──────────────────────────────────────────────────
+  bindEvents();
+  // The popup links straight to a tab, e.g. options.html#backup
+  const linked = location.hash.slice(1);
+  showTab([...$$('.tab')].some((t) => t.dataset.tab === linked) ? linked : 'defaults');
+})();
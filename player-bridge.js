@@ -0,0 +1,46 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Player Bridge
+// Runs in the page's main world, where the player object lives,
+// and answers the content script's requests for the loudness
+// YouTube publishes in the player response.
+// ─────────────────────────────────────────────────────────────
+
+(function () {
+  'use strict';
+
+  if (window.__ytAudioNormalizerBridge) return;
+  window.__ytAudioNormalizerBridge = true;
+
+  const CHANNEL = 'yt-audio-normalizer';
+
+  // The live player knows about SPA navigations; the initial
+  // response embedded in the page only covers the first video.
+  function playerResponse() {
+    const player = document.getElementById('movie_player');
+    try {
+      if (player && typeof player.getPlayerResponse === 'function') {
+        const r = player.getPlayerResponse();
+        if (r) return r;
+      }
+    } catch (_) { /* player not ready yet */ }
+    return window.ytInitialPlayerResponse || null;
+  }
+
+  const finite = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+  window.addEventListener('message', (e) => {
+    if (e.source !== window || !e.data || e.data.channel !== CHANNEL) return;
+    if (e.data.type !== 'getPlayerLoudness') return;
+
+    const r = playerResponse();
+    const audio = (r && r.playerConfig && r.playerConfig.audioConfig) || {};
+    window.postMessage({
+      channel: CHANNEL,
+      type: 'playerLoudness',
+      requestId: e.data.requestId,
+      videoId: r && r.videoDetails ? r.videoDetails.videoId : null,
+      loudnessDb: finite(audio.loudnessDb),
+      perceptualLoudnessDb: finite(audio.perceptualLoudnessDb)
+    }, location.origin);
+  });
+})();
@@ -10,103 +10,281 @@
   // ─── DOM refs ──────────────────────────────────────────────
   const $  = (s) => document.querySelector(s);
   const $$ = (s) => document.querySelectorAll(s);
+  const Settings = globalThis.NormalizerSettings;
+  const Presets  = globalThis.NormalizerPresets;
+  const EQEditor = globalThis.NormalizerEQEditor;
+  const Graphs   = globalThis.NormalizerGraphs;
+  const Protocol = globalThis.NormalizerProtocol;
+  const Channels = globalThis.NormalizerChannels;
+
+  // Numeric settings with a slider (#key) and value label (#keyVal)
+  const SLIDERS = Object.keys(Settings.FIELDS)
+    .filter((k) => Settings.FIELDS[k].type === 'number' && $(`#${k}`));
+  // Boolean settings with a toggle checkbox (#key)
+  const TOGGLES = Object.keys(Settings.FIELDS)
+    .filter((k) => Settings.FIELDS[k].type === 'boolean' && $(`#${k}`));
+  // Settings with a fixed set of choices and a <select> (#key)
+  const SELECTS = Object.keys(Settings.FIELDS)
+    .filter((k) => Settings.FIELDS[k].choices && $(`#${k}`));
 
   const dom = {
-    enabled:    $('#enabled'),
-    autoGain:   $('#autoGain'),
     statusDot:  $('#statusDot'),
     statusText: $('#statusText'),
-    targetLevel:    $('#targetLevel'),
-    targetLevelVal: $('#targetLevelVal'),
-    threshold:    $('#threshold'),   thresholdVal:  $('#thresholdVal'),
-    ratio:        $('#ratio'),       ratioVal:      $('#ratioVal'),
-    knee:         $('#knee'),        kneeVal:       $('#kneeVal'),
-    attack:       $('#attack'),      attackVal:     $('#attackVal'),
-    release:      $('#release'),     releaseVal:    $('#releaseVal'),
-    makeupGain:   $('#makeupGain'),  makeupGainVal: $('#makeupGainVal'),
-    preGain:      $('#preGain'),     preGainVal:    $('#preGainVal'),
     // meters
     meterIn:  $('#meterIn'),   valIn:  $('#valIn'),
     meterOut: $('#meterOut'),  valOut: $('#valOut'),
     meterGR:  $('#meterGR'),   valGR:  $('#valGR'),
+    meterLim: $('#meterLim'),  valLim: $('#valLim'),
     meterAG:  $('#meterAG'),   valAG:  $('#valAG'),
+    meterLeft:  $('#meterLeft'),  valLeft:  $('#valLeft'),
+    meterRight: $('#meterRight'), valRight: $('#valRight'),
+    meterPhase: $('#meterPhase'), valPhase: $('#valPhase'),
+    channelInfo: $('#channelInfo'),
+    loudness: {
+      input:  { momentary: $('#inM'),  shortTerm: $('#inS'),
+                integrated: $('#inI'), lra: $('#inLRA') },
+      output: { momentary: $('#outM'), shortTerm: $('#outS'),
+                integrated: $('#outI'), lra: $('#outLRA') }
+    },
+    profileName:      $('#profileName'),
+    saveChannelBtn:   $('#saveChannelBtn'),
+    saveSiteBtn:      $('#saveSiteBtn'),
+    removeProfileBtn: $('#removeProfileBtn'),
+    gainSource:     $('#gainSource'),
+    forgetVideoBtn: $('#forgetVideoBtn'),
+    trackInfo:      $('#trackInfo'),
+    sourceList:     $('#sourceList'),
+    tabSection:     $('#tabSection'),
+    tabList:        $('#tabList'),
+    historyDetails: $('#historyDetails'),
+    historyWindow:  $('#historyWindow'),
+    historyGraph:   $('#historyGraph'),
+    showSpectrum:   $('#showSpectrum'),
+    spectrumGraph:  $('#spectrumGraph'),
+    abActive:       $('#abActive'),
+    abRow:          $('#abRow'),
+    abButtons:      $$('#abRow .preset'),
+    abBlind:        $('#abBlind'),
+    abInfo:         $('#abInfo'),
+    nightInfo:      $('#nightInfo'),
+    eqCurve:        $('#eqCurve'),
+    speechDot:      $('#speechDot'),
+    speechText:     $('#speechText'),
+    presetSection:      $('#presetSection'),
+    userPresetRow:      $('#userPresetRow'),
+    presetName:         $('#presetName'),
+    savePresetBtn:      $('#savePresetBtn'),
+    overwritePresetBtn: $('#overwritePresetBtn'),
+    renamePresetBtn:    $('#renamePresetBtn'),
+    deletePresetBtn:    $('#deletePresetBtn'),
+    exportPresetsBtn:   $('#exportPresetsBtn'),
+    importPresetsBtn:   $('#importPresetsBtn'),
+    presetMsg:          $('#presetMsg'),
+    optionsBtn: $('#optionsBtn'),
     resetBtn: $('#resetBtn'),
     targetSection: $('#targetSection')
   };
+  // Ranges come from the schema, not the markup
+  SLIDERS.forEach((k) => {
+    const { min, max, step } = Settings.FIELDS[k];
+    dom[k] = $(`#${k}`);
+    dom[`${k}Val`] = $(`#${k}Val`);
+    Object.assign(dom[k], { min, max, step });
+  });
+  TOGGLES.forEach((k) => { dom[k] = $(`#${k}`); });
+  SELECTS.forEach((k) => {
+    dom[k] = $(`#${k}`);
+    const { choices } = Settings.FIELDS[k];
+    Object.keys(choices).forEach((c) => dom[k].add(new Option(choices[c], c)));
+  });
+  dom.bandMeters = [1, 2, 3, 4].map((n) => ({
+    row:   $(`#bandRow${n}`),
+    fill:  $(`#meterBand${n}`),
+    value: $(`#valBand${n}`)
+  }));
 
   let currentSettings = {};
-  let pollTimer = null;
-  let tabId = null;
+  let client = null;          // port to the tab's content script
+  let activeTabId = null;
+  let userPresets = [];       // [{ id, name, settings }]
+  let selectedUserPreset = null; // target of overwrite / rename / delete
+  let selectedSource = null;  // chain shown in the meters, null for the main player
+  let history = [];           // local copy of the shown chain's level history
+  let historySource = null;   // frame and chain the copy belongs to
+  const frames = new Map();   // frame instance → { state, at }
+  let view = { historyWindow: 60, spectrum: false, abBlind: false };   // saved in local storage
+  let abReveal = '';          // blind mapping of the last comparison
+
+  const HISTORY_TICKS = 3000; // 5 min at 100 ms, the longest window
+  const STATE_INTERVAL_MS = 100;  // asked of the content script
+  const FRAME_STALE_MS = 1000;    // a frame that stopped pushing is dropped
+  const TABS_REFRESH_MS = 2000;
+
+  // Dragging a point behaves like moving a slider
+  const eqEditor = EQEditor.create(dom.eqCurve, {
+    onInput(values) {
+      highlightPreset('custom');
+      pushSettings({ ...values, preset: 'custom' });
+    }
+  });
+
+  const historyGraph  = Graphs.createHistory(dom.historyGraph);
+  const spectrumGraph = Graphs.createSpectrum(dom.spectrumGraph);
 
   // ─── Helpers ───────────────────────────────────────────────
   async function getActiveYTTab() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab && /youtube\.com/.test(tab.url)) return tab;
+    // Any web page: YouTube players may be embedded in it
+    if (tab && /^https?:/.test(tab.url)) return tab;
     return null;
   }
 
+  // Resolves with the reply, or null when the page could not do it
   function sendMsg(msg) {
-    return new Promise((resolve) => {
-      if (!tabId) return resolve(null);
-      chrome.tabs.sendMessage(tabId, msg, (resp) => {
-        if (chrome.runtime.lastError) resolve(null);
-        else resolve(resp);
-      });
+    if (!client) return Promise.resolve(null);
+    const { type, ...payload } = msg;
+    return client.request(type, payload).catch((e) => {
+      console.warn(`[YT Normalizer] ${type}: ${e.message}`);
+      return null;
     });
   }
 
   // ─── Populate UI from settings object ──────────────────────
   function populateUI(s) {
     currentSettings = s;
-    dom.enabled.checked  = s.enabled;
-    dom.autoGain.checked = s.autoGain;
-
-    dom.targetLevel.value = s.targetLevel;
-    dom.threshold.value   = s.threshold;
-    dom.ratio.value       = s.ratio;
-    dom.knee.value        = s.knee;
-    dom.attack.value      = s.attack;
-    dom.release.value     = s.release;
-    dom.makeupGain.value  = s.makeupGain;
-    dom.preGain.value     = s.preGain;
+    TOGGLES.forEach((k) => { dom[k].checked = s[k]; });
+    SELECTS.forEach((k) => { dom[k].value = s[k]; });
+
+    SLIDERS.forEach((k) => { dom[k].value = s[k]; });
 
     updateValueLabels();
     highlightPreset(s.preset);
+    eqEditor.set(s);
   }
 
   function updateValueLabels() {
-    dom.targetLevelVal.textContent = `${dom.targetLevel.value} dB`;
-    dom.thresholdVal.textContent   = `${dom.threshold.value} dB`;
-    dom.ratioVal.textContent       = `${dom.ratio.value} : 1`;
-    dom.kneeVal.textContent        = `${dom.knee.value} dB`;
-    dom.attackVal.textContent      = `${dom.attack.value} ms`;
-    dom.releaseVal.textContent     = `${dom.release.value} ms`;
-    dom.makeupGainVal.textContent  = `+${dom.makeupGain.value} dB`;
-    const pg = parseFloat(dom.preGain.value);
-    dom.preGainVal.textContent     = `${pg >= 0 ? '+' : ''}${pg} dB`;
+    SLIDERS.forEach((k) => {
+      dom[`${k}Val`].textContent = Settings.format(k, parseFloat(dom[k].value));
+    });
   }
 
   function highlightPreset(name) {
     $$('.preset').forEach((btn) => {
       btn.classList.toggle('active', btn.dataset.preset === name);
     });
+    if (userPresets.some((p) => p.id === name)) selectUserPreset(name);
+    else if (name !== 'custom') selectUserPreset(null);
+  }
+
+  // ─── User presets ─────────────────────────────────────────
+  // Sliders switch the highlight to Custom, but the last chosen
+  // user preset stays the target so tweaks can be saved back.
+  function selectUserPreset(id) {
+    selectedUserPreset = id;
+    const p = userPresets.find((u) => u.id === id);
+    dom.overwritePresetBtn.disabled = !p;
+    dom.renamePresetBtn.disabled    = !p;
+    dom.deletePresetBtn.disabled    = !p;
+    dom.overwritePresetBtn.textContent = p ? `Overwrite “${p.name}”` : 'Overwrite';
+    if (p) dom.presetName.value = p.name;
+  }
+
+  async function renderUserPresets() {
+    userPresets = (await Presets.list()).filter((p) => !p.builtin);
+    dom.userPresetRow.replaceChildren(...userPresets.map((p) => {
+      const btn = document.createElement('button');
+      btn.className = 'preset';
+      btn.dataset.preset = p.id;
+      btn.textContent = p.name;
+      btn.title = p.name;
+      return btn;
+    }));
+    dom.userPresetRow.hidden = !userPresets.length;
+    highlightPreset(currentSettings.preset);
   }
 
+  function showPresetMsg(text, isError) {
+    dom.presetMsg.textContent = text;
+    dom.presetMsg.classList.toggle('error', !!isError);
+  }
+
+  // Runs a preset action, reporting failures instead of throwing
+  async function presetAction(fn) {
+    try {
+      const msg = await fn();
+      await renderUserPresets();
+      if (msg) showPresetMsg(msg);
+    } catch (e) {
+      showPresetMsg(e.message, true);
+    }
+  }
+
+  function downloadJSON(text, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  const GAIN_SOURCE_TEXT = {
+    cache:       'Gain: remembered for this video',
+    youtube:     'Gain: YouTube loudness data',
+    preanalysis: 'Gain: pre-analysis, now live',
+    live:        'Gain: live measurement'
+  };
+
   // ─── Meter drawing ────────────────────────────────────────
+  // -Infinity does not survive JSON messaging; it arrives as null.
+  const isLevel = (v) => typeof v === 'number' && v > -100;
+  const fmtLUFS = (v) => (isLevel(v) ? v.toFixed(1) : '—');
+  const fmtGain = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)} dB`;
+
+  function updateLoudnessTable(levels) {
+    ['input', 'output'].forEach((key) => {
+      const l = levels[key] || {};
+      const cells = dom.loudness[key];
+      cells.momentary.textContent  = fmtLUFS(l.momentary);
+      cells.shortTerm.textContent  = fmtLUFS(l.shortTerm);
+      cells.integrated.textContent = fmtLUFS(l.integrated);
+      cells.lra.textContent = l.gatedSeconds > 0 ? (l.lra || 0).toFixed(1) : '—';
+    });
+  }
+
+  // Per-band gain reduction, only while multi-band is running
+  function updateBandMeters(bands) {
+    dom.bandMeters.forEach((m, i) => {
+      const r = bands[i];
+      m.row.hidden = r === undefined;
+      if (r === undefined) return;
+      m.fill.style.width = `${Math.max(0, Math.min(100, (Math.abs(r) / 40) * 100))}%`;
+      m.value.textContent = `${r.toFixed(1)} dB`;
+    });
+  }
+
   function updateMeters(levels, autoGainValue) {
-    // Input: -60…0 dB  →  0…100%
-    const inPct  = Math.max(0, Math.min(100, ((levels.inputRMS  + 60) / 60) * 100));
-    const outPct = Math.max(0, Math.min(100, ((levels.outputRMS + 60) / 60) * 100));
+    const inM  = isLevel(levels.input.momentary)  ? levels.input.momentary  : -60;
+    const outM = isLevel(levels.output.momentary) ? levels.output.momentary : -60;
+    // Momentary loudness: -60…0 LUFS  →  0…100%
+    const inPct  = Math.max(0, Math.min(100, ((inM  + 60) / 60) * 100));
+    const outPct = Math.max(0, Math.min(100, ((outM + 60) / 60) * 100));
     // Gain reduction: 0…-40 dB → 0…100% (shown right-to-left)
     const grPct  = Math.max(0, Math.min(100, (Math.abs(levels.reduction) / 40) * 100));
+    // Limiter reduction: 0…-20 dB → 0…100%
+    const limPct = Math.max(0, Math.min(100, (Math.abs(levels.limiterReduction || 0) / 20) * 100));
 
     dom.meterIn.style.width  = `${inPct}%`;
     dom.meterOut.style.width = `${outPct}%`;
     dom.meterGR.style.width  = `${grPct}%`;
+    dom.meterLim.style.width = `${limPct}%`;
 
-    dom.valIn.textContent  = levels.inputRMS  > -100 ? `${levels.inputRMS.toFixed(1)} dB`  : '—';
-    dom.valOut.textContent = levels.outputRMS > -100 ? `${levels.outputRMS.toFixed(1)} dB` : '—';
+    dom.valIn.textContent  = fmtLUFS(levels.input.momentary);
+    dom.valOut.textContent = fmtLUFS(levels.output.momentary);
     dom.valGR.textContent  = `${levels.reduction.toFixed(1)} dB`;
+    dom.valLim.textContent = `${(levels.limiterReduction || 0).toFixed(1)} dB`;
+    updateBandMeters(levels.bandReduction || []);
+    updateLoudnessTable(levels);
 
     // Auto-gain: show bar centered at 50%, expanding left (neg) or right (pos)
     const ag = autoGainValue || 0;
@@ -119,92 +297,437 @@
       dom.meterAG.style.left  = `${50 - agPct}%`;
       dom.meterAG.style.width = `${agPct}%`;
     }
-    dom.valAG.textContent = `${ag >= 0 ? '+' : ''}${ag.toFixed(1)} dB`;
+    dom.valAG.textContent = fmtGain(ag);
   }
 
-  // ─── Polling loop ─────────────────────────────────────────
-  async function poll() {
-    const resp = await sendMsg({ type: 'getState' });
-    if (!resp) {
-      dom.statusDot.className = 'dot error';
-      dom.statusText.textContent = 'No YouTube tab detected';
-      return;
-    }
+  // Source channels: RMS level -60…0 dBFS, and correlation -1…+1
+  // as a bar from the centre, red while out of phase
+  function updateChannels(ch) {
+    ch = ch || Channels.empty();
+    [['Left', ch.left], ['Right', ch.right]].forEach(([side, v]) => {
+      const level = isLevel(v) ? v : -60;
+      dom[`meter${side}`].style.width = `${Math.max(0, Math.min(100, ((level + 60) / 60) * 100))}%`;
+      dom[`val${side}`].textContent = isLevel(v) ? v.toFixed(1) : '—';
+    });
+    const heard = isLevel(ch.left) && isLevel(ch.right);
+    const r = heard ? ch.correlation : 0;
+    dom.meterPhase.style.left  = `${50 + Math.min(0, r) * 50}%`;
+    dom.meterPhase.style.width = `${Math.abs(r) * 50}%`;
+    dom.meterPhase.classList.toggle('out-of-phase', r < Channels.PHASE_FLIP);
+    dom.valPhase.textContent = heard ? `${r >= 0 ? '+' : ''}${r.toFixed(2)}` : '—';
+
+    const problem = Channels.diagnose({ ...ch, left: isLevel(ch.left) ? ch.left : -Infinity,
+                                        right: isLevel(ch.right) ? ch.right : -Infinity });
+    const fixed = currentSettings.monoDownmix === 'phase' && ch.inverted ? 'polarity corrected' : '';
+    dom.channelInfo.textContent = [problem, fixed].filter(Boolean).join(' · ');
+  }
 
-    if (resp.isActive) {
+  // ─── State from the page ──────────────────────────────────
+  // With embedded players several frames may push state; the one
+  // with active sources is shown, preferring the top frame.
+  function onState(state) {
+    const now = Date.now();
+    frames.set(state.instance, { state, at: now });
+    frames.forEach((f, k) => { if (now - f.at > FRAME_STALE_MS) frames.delete(k); });
+    const all = [...frames.values()].map((f) => f.state);
+    const shown = all.find((st) => st.isActive && st.top) || all.find((st) => st.isActive) ||
+                  all.find((st) => st.top) || state;
+    if (shown === state) render(state);
+  }
+
+  function render(state) {
+    if (state.isActive) {
       dom.statusDot.className = 'dot active';
-      dom.statusText.textContent = `Active · ${resp.contextState}`;
+      dom.statusText.textContent = `Active · ${state.contextState}`;
     } else {
       dom.statusDot.className = 'dot';
       dom.statusText.textContent = 'Waiting for video…';
     }
 
-    updateMeters(resp.levels, resp.autoGainValue);
+    updateSources(state);
+    updateMeters(state.levels, state.autoGainValue);
+    updateChannels(state.levels.channels);
+    updateHistory(state);
+    updateSpeech(state);
+    updateGainSource(state);
+    updateAB(state.ab);
+    updateNight(state.night);
+    updateTrack(state);
+    updateProfile(state);
+  }
+
+  function onPush(msg) {
+    if (msg.type === 'state') {
+      onState(msg.state);
+    } else if (msg.type === 'settings') {
+      // Changed by another view, the options page or a profile switch
+      populateUI(msg.settings);
+    }
+  }
+
+  function onStatus(status, hello) {
+    if (status === 'connected') {
+      populateUI(hello.settings);
+      return;
+    }
+    frames.clear();
+    dom.statusDot.className = 'dot error';
+    dom.statusText.textContent = 'No YouTube player detected · reconnecting…';
+  }
+
+  function subscribe() {
+    if (!client) return;
+    client.subscribe({
+      source: selectedSource,
+      spectrum: view.spectrum && dom.historyDetails.open
+    });
+  }
+
+  function updateProfile(resp) {
+    const p = resp.profile;
+    const channel = resp.channel;
+    dom.profileName.textContent = p
+      ? `${p.scope === 'channel' ? 'Channel' : 'Site'}: ${p.label}`
+      : 'Global';
+    dom.removeProfileBtn.hidden = !p;
+    dom.saveChannelBtn.disabled = !channel || (p && p.scope === 'channel');
+    dom.saveChannelBtn.title = channel ? (channel.name || channel.handle || channel.id) : '';
+  }
+
+  // One row per media element with a chain; rows are reused so a
+  // click is not lost to the next push
+  function updateSources(resp) {
+    const list = resp.sources || [];
+    if (!list.some((s) => s.id === selectedSource)) selectedSource = null;
+    dom.sourceList.hidden = !list.length;
+    while (dom.sourceList.children.length > list.length) dom.sourceList.lastChild.remove();
+    list.forEach((s, i) => {
+      let row = dom.sourceList.children[i];
+      if (!row) {
+        row = document.createElement('button');
+        row.className = 'source';
+        dom.sourceList.append(row);
+      }
+      row.dataset.source = s.id;
+      row.classList.toggle('active', s.id === resp.source);
+      row.textContent = `${s.playing ? '▶' : '❚❚'} ${s.label} · ` +
+        `${fmtLUFS(s.momentary)} LUFS · ${fmtGain(s.autoGainValue || 0)}`;
+    });
+  }
+
+  // ─── Tabs ─────────────────────────────────────────────────
+  // Every tab with a player attached, as tracked by the service
+  // worker for the toolbar badge; click one to switch to it.
+  function refreshTabs() {
+    chrome.runtime.sendMessage({ v: Protocol.VERSION, id: 1, type: 'listTabs' }, (resp) => {
+      if (chrome.runtime.lastError || !resp || resp.type !== 'reply') return;
+      const list = resp.tabs;
+      dom.tabSection.hidden = !list.some((t) => t.tabId !== activeTabId);
+      dom.tabList.replaceChildren(...list.map((t) => {
+        const row = document.createElement('button');
+        row.className = t.tabId === activeTabId ? 'source active' : 'source';
+        row.dataset.tab = t.tabId;
+        row.dataset.window = t.windowId;
+        const state = t.enabled ? `${t.presetName} · ${fmtGain(t.autoGain)}` : 'off';
+        row.textContent = `${t.title} · ${state}`;
+        row.title = `${t.title}\n${t.source}`;
+        return row;
+      }));
+    });
+  }
+
+  // ─── History & spectrum ───────────────────────────────────
+  // The content script keeps the history; after the first push only
+  // new samples arrive.
+  function updateHistory(resp) {
+    const h = resp.history;
+    if (!h) return;
+    const key = `${resp.instance}:${resp.source}`;
+    if (key !== historySource) history = [];
+    history = history.concat(h.samples).slice(-HISTORY_TICKS);
+    historySource = key;
+    if (!dom.historyDetails.open) return;
+    historyGraph.draw(history, view.historyWindow);
+    if (view.spectrum) spectrumGraph.draw(resp.spectrum);
+  }
+
+  function loadView() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(Settings.STORAGE.view, (res) => {
+        view = { ...view, ...res[Settings.STORAGE.view] };
+        dom.historyWindow.value = String(view.historyWindow);
+        dom.showSpectrum.checked = view.spectrum;
+        dom.spectrumGraph.hidden = !view.spectrum;
+        dom.abBlind.checked = view.abBlind;
+        resolve();
+      });
+    });
   }
 
-  function startPolling() {
-    poll();
-    pollTimer = setInterval(poll, 150);
+  function saveView() {
+    chrome.storage.local.set({ [Settings.STORAGE.view]: view });
+  }
+
+  // ─── A/B compare ──────────────────────────────────────────
+  // The page only says which label is heard; in blind mode the
+  // buttons carry no hint of which side is processed.
+  function updateAB(ab) {
+    dom.abActive.checked = !!ab;
+    dom.abActive.disabled = !currentSettings.enabled;
+    dom.abBlind.disabled = !!ab;
+    dom.abRow.hidden = !ab;
+    if (!ab) {
+      dom.abInfo.textContent = abReveal;
+      return;
+    }
+    dom.abButtons.forEach((btn, i) => {
+      const label = ab.labels[i];
+      btn.dataset.abSide = label;
+      btn.textContent = ab.blind ? label : `${label} · ${i ? 'Bypass' : 'Processed'}`;
+      btn.classList.toggle('active', label === ab.heard);
+    });
+    dom.abInfo.textContent = ab.blind
+      ? 'Blind · sides are revealed when you stop'
+      : ab.matchGain === null ? '' : `B is played at ${fmtGain(ab.matchGain)} to match A`;
+  }
+
+  async function toggleAB() {
+    if (!dom.abActive.checked) {
+      const resp = await sendMsg({ type: 'abStop' });
+      const reveal = resp && resp.reveal;
+      abReveal = reveal
+        ? Object.keys(reveal).map((label) => `${label} was ${reveal[label]}`).join(' · ')
+        : '';
+      updateAB(null);
+      return;
+    }
+    abReveal = '';
+    const resp = await sendMsg({ type: 'abStart', blind: dom.abBlind.checked });
+    updateAB(resp && resp.ab);
+  }
+
+  // ─── Night mode ───────────────────────────────────────────
+  // The toggle is the manual switch; the schedule may turn night
+  // mode on as well, which the line under it says.
+  function updateNight(night) {
+    const s = currentSettings;
+    const time = (k) => Settings.format(k, s[k]);
+    const scheduled = night && night.scheduled;
+    const reason = scheduled ? `On by schedule until ${time('nightEnd')}`
+      : s.nightMode ? 'On'
+      : s.nightSchedule ? `Scheduled ${time('nightStart')}–${time('nightEnd')}`
+      : '';
+    const limits = `ceiling ${Settings.format('nightCeiling', Math.min(s.nightCeiling, s.limiterThreshold))}` +
+      ` · auto-gain ≤ ${Settings.format('nightMaxGain', s.nightMaxGain)}`;
+    dom.nightInfo.textContent = night && night.active ? `${reason} · ${limits}` : reason;
+  }
+
+  function updateSpeech(resp) {
+    const on = currentSettings.enabled && currentSettings.dialogue;
+    dom.speechDot.className = on && resp.levels.speech ? 'dot active' : 'dot';
+    if (!on) {
+      dom.speechText.textContent = 'Speech: dialogue mode off';
+      return;
+    }
+    const loudness = fmtLUFS(resp.levels.speechLoudness);
+    dom.speechText.textContent = `Speech: ${resp.levels.speech ? 'detected' : 'none'} · ${loudness} LUFS`;
+  }
+
+  function updateGainSource(resp) {
+    if (resp.ad) {
+      dom.gainSource.textContent = currentSettings.adFixedGain
+        ? `Gain: ad playing · fixed ${Settings.format('adGain', currentSettings.adGain)}`
+        : 'Gain: ad playing · content gain held';
+      dom.forgetVideoBtn.hidden = true;
+      return;
+    }
+    if (!resp.videoId) {
+      dom.gainSource.textContent = 'Gain: live';
+      dom.forgetVideoBtn.hidden = true;
+      return;
+    }
+    dom.gainSource.textContent = GAIN_SOURCE_TEXT[resp.gainSource] || GAIN_SOURCE_TEXT.live;
+    dom.forgetVideoBtn.textContent = resp.videoId.startsWith('album:')
+      ? 'Forget this album'
+      : 'Forget this video';
+    dom.forgetVideoBtn.hidden = false;
+  }
+
+  // YouTube Music: what is playing and which gain mode applies
+  function updateTrack(resp) {
+    const t = resp.track;
+    dom.trackInfo.hidden = !t;
+    if (!t) return;
+    const mode = resp.videoId && resp.videoId.startsWith('album:') ? 'album gain' : 'track gain';
+    dom.trackInfo.textContent = `♪ ${t.title}${t.artist ? ` — ${t.artist}` : ''} · ${mode}`;
+    dom.trackInfo.title = t.album;
   }
 
   // ─── Send settings to content script ──────────────────────
+  function readSettingsFromUI() {
+    const s = {};
+    TOGGLES.forEach((k) => { s[k] = dom[k].checked; });
+    SELECTS.forEach((k) => { s[k] = dom[k].value; });
+    SLIDERS.forEach((k) => { s[k] = parseFloat(dom[k].value); });
+    return s;
+  }
+
   function pushSettings(extra = {}) {
-    const s = {
-      enabled:     dom.enabled.checked,
-      autoGain:    dom.autoGain.checked,
-      targetLevel: parseFloat(dom.targetLevel.value),
-      threshold:   parseFloat(dom.threshold.value),
-      ratio:       parseFloat(dom.ratio.value),
-      knee:        parseFloat(dom.knee.value),
-      attack:      parseFloat(dom.attack.value),
-      release:     parseFloat(dom.release.value),
-      makeupGain:  parseFloat(dom.makeupGain.value),
-      preGain:     parseFloat(dom.preGain.value),
-      ...extra
-    };
-    sendMsg({ type: 'updateSettings', settings: s });
+    const s = { ...readSettingsFromUI(), ...extra };
+    currentSettings = { ...currentSettings, ...s };
+    sendMsg({ type: 'updateSettings', settings: s }).then((resp) => {
+      // The content script decides whether this left the preset
+      if (resp && resp.settings) highlightPreset(resp.settings.preset);
+    });
   }
 
   // ─── Event listeners ──────────────────────────────────────
   function bindEvents() {
-    // Enable toggle
-    dom.enabled.addEventListener('change', () => {
-      pushSettings({ enabled: dom.enabled.checked });
+    // Toggles (enable, auto-gain, multi-band, EQ, dialogue)
+    TOGGLES.forEach((k) => {
+      dom[k].addEventListener('change', () => {
+        pushSettings();
+        eqEditor.set(currentSettings);
+      });
     });
-
-    // Auto-gain toggle
-    dom.autoGain.addEventListener('change', () => {
-      pushSettings({ autoGain: dom.autoGain.checked });
+    SELECTS.forEach((k) => {
+      dom[k].addEventListener('change', () => pushSettings());
     });
 
-    // Preset buttons
-    $$('.preset').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        const preset = btn.dataset.preset;
-        highlightPreset(preset);
+    // Preset buttons (built-in and user, rendered dynamically)
+    dom.presetSection.addEventListener('click', (e) => {
+      const btn = e.target.closest('.preset');
+      if (!btn) return;
+      const preset = btn.dataset.preset;
+      highlightPreset(preset);
 
-        if (preset === 'custom') {
-          pushSettings({ preset: 'custom' });
-          return;
-        }
+      if (preset === 'custom') {
+        pushSettings({ preset: 'custom' });
+        return;
+      }
 
-        sendMsg({ type: 'applyPreset', preset }).then((resp) => {
-          if (resp && resp.settings) populateUI(resp.settings);
-        });
+      sendMsg({ type: 'applyPreset', preset }).then((resp) => {
+        if (resp && resp.settings) populateUI(resp.settings);
       });
     });
 
+    // Preset management
+    dom.savePresetBtn.addEventListener('click', () => presetAction(async () => {
+      const name = dom.presetName.value;
+      const id = await Presets.save({ name, settings: readSettingsFromUI() });
+      pushSettings({ preset: id });
+      return `Saved “${name.trim()}”`;
+    }));
+
+    dom.overwritePresetBtn.addEventListener('click', () => presetAction(async () => {
+      const p = userPresets.find((u) => u.id === selectedUserPreset);
+      await Presets.save({ id: p.id, name: p.name, settings: readSettingsFromUI() });
+      pushSettings({ preset: p.id });
+      return `Updated “${p.name}”`;
+    }));
+
+    dom.renamePresetBtn.addEventListener('click', () => presetAction(async () => {
+      await Presets.rename(selectedUserPreset, dom.presetName.value);
+      return 'Renamed';
+    }));
+
+    dom.deletePresetBtn.addEventListener('click', () => presetAction(async () => {
+      const p = userPresets.find((u) => u.id === selectedUserPreset);
+      await Presets.remove(p.id);
+      if (currentSettings.preset === p.id) pushSettings({ preset: 'custom' });
+      selectUserPreset(null);
+      return `Deleted “${p.name}”`;
+    }));
+
+    dom.exportPresetsBtn.addEventListener('click', () => presetAction(async () => {
+      downloadJSON(await Presets.exportJSON(), 'yt-normalizer-presets.json');
+      return `Exported ${userPresets.length} preset(s)`;
+    }));
+
+    // A file picker closes the popup before a file is chosen, so
+    // importing happens on the options page
+    dom.importPresetsBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('options.html#backup') });
+    });
+
     // Sliders
-    const sliders = ['targetLevel', 'threshold', 'ratio', 'knee',
-                     'attack', 'release', 'makeupGain', 'preGain'];
-    sliders.forEach((id) => {
+    SLIDERS.forEach((id) => {
       dom[id].addEventListener('input', () => {
         updateValueLabels();
+        // Ad handling, smoothing and night mode are not part of a preset
+        if (Settings.FIELDS[id].preset === false) {
+          pushSettings();
+          return;
+        }
         highlightPreset('custom');
         pushSettings({ preset: 'custom' });
       });
     });
 
+    // Profiles
+    dom.saveChannelBtn.addEventListener('click', () => {
+      sendMsg({ type: 'saveProfile', scope: 'channel' });
+    });
+    dom.saveSiteBtn.addEventListener('click', () => {
+      sendMsg({ type: 'saveProfile', scope: 'site' });
+    });
+    dom.removeProfileBtn.addEventListener('click', async () => {
+      const resp = await sendMsg({ type: 'removeProfile' });
+      if (resp && resp.settings) populateUI(resp.settings);
+    });
+
+    // History window and spectrum are view preferences, not settings
+    dom.historyWindow.addEventListener('change', () => {
+      view.historyWindow = Number(dom.historyWindow.value);
+      saveView();
+      historyGraph.draw(history, view.historyWindow);
+    });
+    dom.showSpectrum.addEventListener('change', () => {
+      view.spectrum = dom.showSpectrum.checked;
+      dom.spectrumGraph.hidden = !view.spectrum;
+      saveView();
+      subscribe();
+    });
+    // The spectrum is only streamed while it can be seen
+    dom.historyDetails.addEventListener('toggle', subscribe);
+
+    // A/B comparison
+    dom.abActive.addEventListener('change', toggleAB);
+    dom.abBlind.addEventListener('change', () => {
+      view.abBlind = dom.abBlind.checked;
+      saveView();
+    });
+    dom.abRow.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.preset');
+      if (!btn) return;
+      const resp = await sendMsg({ type: 'abSelect', side: btn.dataset.abSide });
+      if (resp) updateAB(resp.ab);
+    });
+
+    // Show another source's meters
+    dom.sourceList.addEventListener('click', (e) => {
+      const row = e.target.closest('.source');
+      if (!row) return;
+      selectedSource = Number(row.dataset.source);
+      subscribe();
+    });
+
+    // Switch to another tab with a player
+    dom.tabList.addEventListener('click', (e) => {
+      const row = e.target.closest('.source');
+      if (!row) return;
+      chrome.tabs.update(Number(row.dataset.tab), { active: true });
+      chrome.windows.update(Number(row.dataset.window), { focused: true });
+    });
+
+    // Drop the remembered loudness of the current video
+    dom.forgetVideoBtn.addEventListener('click', async () => {
+      const resp = await sendMsg({ type: 'forgetVideo' });
+      if (resp) dom.gainSource.textContent = 'Gain: live measurement';
+    });
+
+    dom.optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
     // Reset
     dom.resetBtn.addEventListener('click', async () => {
       const resp = await sendMsg({ type: 'resetSettings' });
@@ -215,25 +738,27 @@
   // ─── Init ──────────────────────────────────────────────────
   async function init() {
     const tab = await getActiveYTTab();
-    if (tab) {
-      tabId = tab.id;
-      const resp = await sendMsg({ type: 'getState' });
-      if (resp && resp.settings) {
-        populateUI(resp.settings);
-      }
-    } else {
+    if (!tab) {
       dom.statusDot.className = 'dot error';
       dom.statusText.textContent = 'Open a YouTube page first';
     }
 
+    await renderUserPresets();
+    await loadView();
     bindEvents();
-    startPolling();
+    if (tab) {
+      activeTabId = tab.id;
+      client = Protocol.createClient(tab.id, { interval: STATE_INTERVAL_MS, onPush, onStatus });
+      subscribe();
+    }
+    refreshTabs();
+    setInterval(refreshTabs, TABS_REFRESH_MS);
   }
 
   init();
 
   // cleanup on popup close
   window.addEventListener('unload', () => {
-    if (pollTimer) clearInterval(pollTimer);
+    if (client) client.close();
   });
 })();
\ No newline at end of file
@@ -0,0 +1,235 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChrome, deliver, loadScripts, settle } = require('./helpers/chrome');
+const Settings = require('../lib/settings.js');
+const Protocol = require('../lib/protocol.js');
+
+const STORAGE = Settings.STORAGE;
+
+function startWorker() {
+  const chrome = createChrome();
+  loadScripts(chrome, ['background.js']);
+  return chrome;
+}
+
+const tab = (id, over) => ({ id, windowId: 1, title: `Tab ${id}`, url: 'https://www.youtube.com/watch?v=x', ...over });
+
+const status = (over) => ({
+  top: true, active: true, enabled: true, preset: 'medium', presetName: 'Medium',
+  autoGain: 3, source: 'live', title: '', badge: 'status', ...over
+});
+
+function report(chrome, tabInfo, s, frameId = 0) {
+  return deliver(chrome, Protocol.push('status', { status: s }), { tab: tabInfo, frameId });
+}
+
+// ─── Install & update ────────────────────────────────────────
+test('installing stores the defaults and the schema version', async () => {
+  const chrome = startWorker();
+  await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'install' }));
+  assert.deepEqual(chrome.storage.sync.data[STORAGE.settings], Settings.DEFAULTS);
+  assert.equal(chrome.storage.sync.data[STORAGE.version], Settings.VERSION);
+});
+
+test('updating validates stored settings, profiles and presets', async () => {
+  const chrome = startWorker();
+  await chrome.storage.sync.set({
+    [STORAGE.settings]: { ratio: 50, bogus: true },
+    [`${STORAGE.profilePrefix}channel:abc`]: { label: 'A channel', settings: { targetLevel: -20 } },
+    [`${STORAGE.presetPrefix}u1`]: { name: 'Mine', settings: { ratio: 3, enabled: false } }
+  });
+  await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'update' }));
+
+  const data = chrome.storage.sync.data;
+  assert.equal(data[STORAGE.version], Settings.VERSION);
+  assert.deepEqual(data[STORAGE.settings], { ...Settings.DEFAULTS, ratio: Settings.FIELDS.ratio.max });
+  const profile = data[`${STORAGE.profilePrefix}channel:abc`];
+  assert.equal(profile.label, 'A channel');
+  assert.deepEqual(profile.settings, { ...Settings.DEFAULTS, targetLevel: -20 });
+  assert.deepEqual(data[`${STORAGE.presetPrefix}u1`], { name: 'Mine', settings: { ratio: 3 } });
+});
+
+test('settings written by a newer version are left alone', async () => {
+  const chrome = startWorker();
+  const newer = { [STORAGE.settings]: { ratio: 50 }, [STORAGE.version]: Settings.VERSION + 1 };
+  await chrome.storage.sync.set(newer);
+  await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'update' }));
+  assert.deepEqual(chrome.storage.sync.data, newer);
+});
+
+// ─── Loudness memory ─────────────────────────────────────────
+test('updating moves the single-key memory to one key per video', async () => {
+  const chrome = startWorker();
+  const entry = { integrated: -20, gain: 6, targetLevel: -14, used: 1 };
+  await chrome.storage.local.set({ [STORAGE.legacyMemory]: { abc: entry, 'album:xyz': entry } });
+  await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'update' }));
+  await settle();
+  assert.deepEqual(chrome.storage.local.data[`${STORAGE.memoryPrefix}abc`], entry);
+  assert.deepEqual(chrome.storage.local.data[`${STORAGE.memoryPrefix}album:xyz`], entry);
+  assert.ok(!(STORAGE.legacyMemory in chrome.storage.local.data));
+});
+
+test('remembering a new video evicts the least recently played', async () => {
+  const chrome = startWorker();
+  const items = {};
+  for (let i = 0; i < 500; i++) items[`${STORAGE.memoryPrefix}v${i}`] = { used: 1000 + i };
+  await chrome.storage.local.set(items);
+  await settle();
+  assert.equal(Object.keys(chrome.storage.local.data).length, 500);
+
+  await chrome.storage.local.set({ [`${STORAGE.memoryPrefix}v0`]: { used: 5000 } });
+  await settle();
+  assert.equal(Object.keys(chrome.storage.local.data).length, 500, 'an update is not a new video');
+
+  await chrome.storage.local.set({ [`${STORAGE.memoryPrefix}new`]: { used: 6000 } });
+  await settle();
+  const data = chrome.storage.local.data;
+  assert.equal(Object.keys(data).length, 500);
+  assert.ok(!(`${STORAGE.memoryPrefix}v1` in data));
+  assert.ok(`${STORAGE.memoryPrefix}v0` in data);
+});
+
+// ─── Loudness statistics ─────────────────────────────────────
+const openSession = (id, over) => ({ id, programme: id.split('@')[0], started: Number(id.split('@')[1]), seconds: 20, ...over });
+
+test('ended sessions move into the history; open ones stay until they end', async () => {
+  const chrome = startWorker();
+  const local = chrome.storage.local;
+  await local.set({ [STORAGE.stats]: [openSession('old@1')] });
+  await local.set({ [`${STORAGE.sessionPrefix}a@5`]: openSession('a@5') });
+  await settle();
+  assert.equal(local.data[STORAGE.stats].length, 1);
+
+  await local.set({ [`${STORAGE.sessionPrefix}a@5`]: openSession('a@5', { ended: true }) });
+  await settle();
+  assert.deepEqual(local.data[STORAGE.stats].map((s) => s.id), ['a@5', 'old@1']);
+  assert.ok(!(`${STORAGE.sessionPrefix}a@5` in local.data));
+});
+
+test('a clear stays cleared, and browser start-up closes orphaned sessions', async () => {
+  const chrome = startWorker();
+  const local = chrome.storage.local;
+  await local.set({
+    [STORAGE.stats]: [openSession('old@1')],    // as written by a move that raced the clear
+    [STORAGE.statsCleared]: 10,
+    [`${STORAGE.sessionPrefix}before@5`]: openSession('before@5'),
+    [`${STORAGE.sessionPrefix}after@20`]: openSession('after@20')
+  });
+  await Promise.all(chrome.runtime.onStartup.dispatch());
+  await settle();
+  assert.deepEqual(local.data[STORAGE.stats].map((s) => s.id), ['after@20']);
+  assert.ok(!Object.keys(local.data).some((k) => k.startsWith(STORAGE.sessionPrefix)));
+});
+
+// ─── Keyboard commands ───────────────────────────────────────
+test('commands go to the top frame on YouTube and every frame elsewhere', async () => {
+  const chrome = startWorker();
+  await Promise.all(chrome.commands.onCommand.dispatch('toggle-enabled', tab(1)));
+  await Promise.all(chrome.commands.onCommand.dispatch('compare', tab(2, { url: 'https://example.com/' })));
+  const [yt, other] = chrome.tabs.sent;
+  assert.equal(yt.msg.type, 'command');
+  assert.equal(yt.msg.command, 'toggle-enabled');
+  assert.deepEqual(yt.options, { frameId: 0 });
+  assert.equal(other.tabId, 2);
+  assert.deepEqual(other.options, {});
+});
+
+// ─── Tab status & badge ──────────────────────────────────────
+test('the badge follows each tab\'s reports', async () => {
+  const chrome = startWorker();
+  await report(chrome, tab(1), status());
+  await report(chrome, tab(2), status({ enabled: false }));
+  await report(chrome, tab(3), status({ badge: 'gain', autoGain: 4 }));
+  await report(chrome, tab(4), status({ active: false }));
+  await settle();
+
+  const b = chrome.action.badges;
+  assert.equal(b[1].text, 'ON');
+  assert.equal(b[1].icon, 'lit');
+  assert.equal(b[2].text, 'OFF');
+  assert.equal(b[3].text, '+4');
+  assert.equal(b[4].text, '–');
+  assert.match(b[1].title, /Medium · \+3 dB · live/);
+});
+
+test('a frame with a player outranks an idle top frame', async () => {
+  const chrome = startWorker();
+  await report(chrome, tab(1), status({ active: false }), 0);
+  await report(chrome, tab(1), status({ top: false, enabled: false }), 7);
+  await settle();
+  assert.equal(chrome.action.badges[1].text, 'OFF');
+});
+
+test('the popup lists tabs with a player, and navigation forgets them', async () => {
+  const chrome = startWorker();
+  await report(chrome, tab(1), status());
+  await report(chrome, tab(2), status({ active: false }));
+  await settle();
+
+  const resp = await deliver(chrome, { v: Protocol.VERSION, id: 5, type: 'listTabs' }, {});
+  assert.equal(resp.type, 'reply');
+  assert.equal(resp.id, 5);
+  assert.deepEqual(resp.tabs, [{
+    tabId: 1, windowId: 1, title: 'Tab 1', source: 'live', enabled: true, presetName: 'Medium', autoGain: 3
+  }]);
+
+  chrome.tabs.onUpdated.dispatch(1, { status: 'loading', url: 'https://www.youtube.com/' });
+  await settle();
+  assert.deepEqual((await deliver(chrome, { v: Protocol.VERSION, id: 6, type: 'listTabs' }, {})).tabs, []);
+  // Players that survive an in-page navigation report again
+  assert.deepEqual(chrome.tabs.sent.map((s) => [s.tabId, s.msg.type]), [[1, 'report']]);
+});
+
+// ─── Night mode schedule ─────────────────────────────────────
+// A 30-minute window around now, or one that starts in an hour
+function windowAround(now, on) {
+  const start = Math.floor((now.getHours() * 60 + now.getMinutes()) / 15) * 15;
+  const from = on ? start : (start + 60) % 1440;
+  return { nightSchedule: true, nightStart: from, nightEnd: (from + 30) % 1440 };
+}
+
+test('the night schedule switches tabs on and sets an alarm for the end', async () => {
+  const chrome = startWorker();
+  chrome.tabs.open.push({ id: 1, url: 'https://www.youtube.com/watch?v=x' }, { id: 2, url: 'https://example.com/' });
+  await report(chrome, tab(3, { url: 'https://example.com/embed' }), status({ top: false }), 5);
+
+  const schedule = windowAround(new Date(), true);
+  await chrome.storage.sync.set({ [STORAGE.settings]: { ...Settings.DEFAULTS, ...schedule } });
+  await settle();
+
+  assert.equal(chrome.storage.local.data[STORAGE.night], true);
+  const pushed = chrome.tabs.sent.filter((s) => s.msg.type === 'night');
+  assert.deepEqual(pushed.map((s) => s.tabId).sort(), [1, 3]);
+  assert.ok(pushed.every((s) => s.msg.active === true && s.msg.v === Protocol.VERSION));
+
+  const end = new Date(chrome.alarms.all['night-schedule'].scheduledTime);
+  assert.equal(end.getHours() * 60 + end.getMinutes(), schedule.nightEnd);
+});
+
+test('outside the window nothing is pushed; switching the schedule off clears the alarm', async () => {
+  const chrome = startWorker();
+  chrome.tabs.open.push({ id: 1, url: 'https://music.youtube.com/' });
+  const settings = { ...Settings.DEFAULTS, ...windowAround(new Date(), false) };
+  await chrome.storage.sync.set({ [STORAGE.settings]: settings });
+  await settle();
+  assert.equal(chrome.storage.local.data[STORAGE.night], false);
+  assert.ok(chrome.alarms.all['night-schedule']);
+
+  await chrome.storage.sync.set({ [STORAGE.settings]: { ...settings, nightSchedule: false } });
+  await settle();
+  assert.equal(chrome.alarms.all['night-schedule'], undefined);
+  assert.deepEqual(chrome.tabs.sent.filter((s) => s.msg.type === 'night').map((s) => s.msg.active), [false]);
+});
+
+test('the alarm re-checks the schedule', async () => {
+  const chrome = startWorker();
+  const settings = { ...Settings.DEFAULTS, ...windowAround(new Date(), true) };
+  chrome.storage.sync.data[STORAGE.settings] = settings;   // written without a change event
+  chrome.storage.local.data[STORAGE.night] = false;
+  await Promise.all(chrome.alarms.onAlarm.dispatch({ name: 'night-schedule' }));
+  await settle();
+  assert.equal(chrome.storage.local.data[STORAGE.night], true);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Settings = require('../lib/settings.js');
+const Channels = require('../lib/channels.js');
+const { tone, pinkNoise, scale, silence } = require('./helpers/signals');
+
+const settings = (over) => ({ ...Settings.DEFAULTS, ...over });
+// [L', R'] for one sample pair
+const apply = (m, l, r) => [m[0][0] * l + m[0][1] * r, m[1][0] * l + m[1][1] * r];
+const close = (actual, expected) => actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-9, `${actual} ≠ ${expected}`));
+
+// ─── Matrix ──────────────────────────────────────────────────
+test('the defaults pass both channels through', () => {
+  assert.deepEqual(Channels.matrix(settings()), [[1, 0], [0, 1]]);
+});
+
+test('swap exchanges the channels', () => {
+  close(apply(Channels.matrix(settings({ channelSwap: true })), 1, 0), [0, 1]);
+});
+
+test('mono puts a one-sided upload in the middle', () => {
+  close(apply(Channels.matrix(settings({ monoDownmix: 'sum' })), 1, 0), [0.5, 0.5]);
+  close(apply(Channels.matrix(settings({ monoDownmix: 'sum' })), 1, 1), [1, 1]);
+});
+
+test('a phase-aware downmix keeps out-of-phase channels from cancelling', () => {
+  close(apply(Channels.matrix(settings({ monoDownmix: 'sum' }), true), 1, -1), [0, 0]);
+  close(apply(Channels.matrix(settings({ monoDownmix: 'phase' }), false), 1, -1), [0, 0]);
+  close(apply(Channels.matrix(settings({ monoDownmix: 'phase' }), true), 1, -1), [1, 1]);
+});
+
+test('width scales the side signal', () => {
+  close(apply(Channels.matrix(settings({ stereoWidth: 0 })), 1, 0), [0.5, 0.5]);
+  close(apply(Channels.matrix(settings({ stereoWidth: 200 })), 1, 0), [1.5, -0.5]);
+  close(apply(Channels.matrix(settings({ stereoWidth: 200 })), 1, 1), [1, 1]);
+});
+
+test('balance turns the far side down only', () => {
+  close(apply(Channels.matrix(settings({ channelBalance: -100 })), 1, 1), [1, 0]);
+  close(apply(Channels.matrix(settings({ channelBalance: 50 })), 1, 1), [0.5, 1]);
+  close(apply(Channels.matrix(settings({ channelBalance: 50, monoDownmix: 'sum' })), 1, 0), [0.25, 0.5]);
+});
+
+// ─── Metering ────────────────────────────────────────────────
+test('analyse measures levels and correlation', () => {
+  const a = tone({ dbfs: -10, seconds: 0.05 });
+  const same = Channels.analyse(a, a);
+  assert.ok(Math.abs(same.left - -13) < 0.1, 'a sine is 3 dB below its peak');
+  assert.ok(Math.abs(same.correlation - 1) < 1e-6);
+  assert.ok(Math.abs(Channels.analyse(a, scale(a, -6).map((v) => -v)).correlation + 1) < 1e-6);
+  const noise = Channels.analyse(pinkNoise({ seconds: 0.5, seed: 1 }), pinkNoise({ seconds: 0.5, seed: 2 }));
+  assert.ok(Math.abs(noise.correlation) < 0.2);
+  const oneSided = Channels.analyse(a, silence({ seconds: 0.05 }));
+  assert.equal(oneSided.right, -Infinity);
+  assert.equal(oneSided.correlation, null);
+});
+
+test('sustained anti-phase flips polarity, with hysteresis', () => {
+  const a = tone({ seconds: 0.05 });
+  const anti = Channels.analyse(a, a.map((v) => -v));
+  let state = Channels.empty();
+  state = Channels.follow(state, anti);
+  assert.equal(state.inverted, false, 'one reading is not enough');
+  for (let i = 0; i < 10; i++) state = Channels.follow(state, anti);
+  assert.equal(state.inverted, true);
+
+  const uncorrelated = { left: -20, right: -20, correlation: 0 };
+  for (let i = 0; i < 30; i++) state = Channels.follow(state, uncorrelated);
+  assert.equal(state.inverted, true, 'between the thresholds the decision holds');
+  for (let i = 0; i < 30; i++) state = Channels.follow(state, Channels.analyse(a, a));
+  assert.equal(state.inverted, false);
+});
+
+test('a silent channel holds the correlation', () => {
+  const state = { left: -20, right: -20, correlation: -0.8, inverted: true };
+  const next = Channels.follow(state, { left: -20, right: -Infinity, correlation: null });
+  assert.equal(next.correlation, -0.8);
+  assert.equal(next.inverted, true);
+  assert.equal(next.right, -Infinity);
+});
+
+test('diagnose names broken uploads', () => {
+  assert.equal(Channels.diagnose(Channels.empty()), '');
+  assert.equal(Channels.diagnose({ left: -20, right: -90, correlation: 0 }), 'Right channel silent');
+  assert.equal(Channels.diagnose({ left: -20, right: -20, correlation: -0.9 }), 'Channels out of phase');
+  assert.equal(Channels.diagnose({ left: -20, right: -20, correlation: 0.99 }), 'Mono source');
+  assert.equal(Channels.diagnose({ left: -20, right: -20, correlation: 0.4 }), '');
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Settings = require('../lib/settings.js');
+const EQ = require('../lib/eq.js');
+
+const settings = (over) => ({ ...Settings.DEFAULTS, ...over });
+const band = (id) => [...EQ.PRE_BANDS, ...EQ.POST_BANDS].find((b) => b.id === id);
+const params = (id, over) => EQ.filterParams(band(id), settings(over), 48000);
+
+test('the defaults leave every band off', () => {
+  [...EQ.PRE_BANDS, ...EQ.POST_BANDS].forEach((b) => assert.ok(EQ.isOff(b, settings()), b.id));
+});
+
+test('a band keeps its filter type whether on or off', () => {
+  [...EQ.PRE_BANDS, ...EQ.POST_BANDS].forEach((b) => {
+    assert.equal(EQ.filterParams(b, settings(), 48000).type, b.type, b.id);
+  });
+  assert.equal(params('highpass', { eqHighpass: 120 }).type, 'highpass');
+  assert.equal(params('peak1', { eqPeak1Gain: 3 }).type, 'peaking');
+});
+
+test('off high- and low-pass bands move their cut-off out of the way', () => {
+  assert.equal(params('highpass').frequency, 0);
+  assert.equal(params('lowpass').frequency, 24000);
+  assert.equal(params('highpass').Q, EQ.BUTTERWORTH_Q_DB, 'Q does not move when switching on');
+
+  const on = params('highpass', { eqHighpass: 120 });
+  assert.equal(on.frequency, 120);
+  assert.equal(on.Q, EQ.BUTTERWORTH_Q_DB);
+});
+
+test('off peaking and shelving bands sit at 0 dB with their own frequency and Q', () => {
+  const off = params('peak2', { eqPeak2Freq: 2500, eqPeak2Q: 4 });
+  assert.deepEqual(off, { type: 'peaking', frequency: 2500, gain: 0, Q: 4 });
+  assert.equal(params('highShelf', { eqHighShelfGain: -4 }).gain, -4);
+});
+
+test('configure sets the type once and passes the rest through `set`', () => {
+  const param = () => ({ value: 0 });
+  const node = { type: 'lowpass', context: { sampleRate: 44100 }, frequency: param(), gain: param(), Q: param() };
+  const seen = [];
+  const set = (p, v) => { seen.push(v); p.value = v; };
+  EQ.configure(node, band('lowpass'), settings(), set);
+  assert.equal(node.type, 'lowpass');
+  assert.equal(node.frequency.value, 22050);
+  assert.equal(seen.length, 3);
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Settings = require('../lib/settings.js');
+const Presets = require('../lib/presets.js');
+const Gain = require('../lib/gain.js');
+const Night = require('../lib/night.js');
+const { OfflineAudioContext, AudioWorkletNode, play, every } = require('./helpers/offline-audio');
+const { RATE, pinkNoise, concat, peakDB } = require('./helpers/signals');
+
+const reading = (over) => ({ momentary: -20, shortTerm: -20, integrated: -20, gatedSeconds: 0, ...over });
+
+// ─── Rules ───────────────────────────────────────────────────
+test('step moves part of the way towards the target and is clamped', () => {
+  const g = Gain.step(0, -24, -14);
+  assert.ok(g > 0 && g < 10);
+  let gain = 0;
+  for (let i = 0; i < 200; i++) gain = Gain.step(gain, -24, -14);
+  assert.ok(Math.abs(gain - 10) < 0.01);
+  for (let i = 0; i < 200; i++) gain = Gain.step(gain, -50, -14);
+  assert.equal(gain, Gain.RANGE_DB);
+  for (let i = 0; i < 200; i++) gain = Gain.step(gain, 20, -14);
+  assert.equal(gain, -Gain.RANGE_DB);
+  assert.equal(Gain.step(3, -Infinity, -14), 3);
+});
+
+test('silence holds the gain', () => {
+  const m = Gain.measurement({ input: reading({ momentary: -70 }), source: 'live' });
+  assert.equal(m.measured, null);
+});
+
+test('short-term is followed until integrated is ready', () => {
+  const input = reading({ shortTerm: -18, integrated: -22, gatedSeconds: 5 });
+  assert.equal(Gain.measurement({ input, source: 'live' }).measured, -18);
+  input.gatedSeconds = Gain.INTEGRATED_MIN_SEC;
+  assert.equal(Gain.measurement({ input, source: 'live' }).measured, -22);
+});
+
+test('remembered and published gains hold until integrated is ready', () => {
+  Gain.HELD_SOURCES.forEach((source) => {
+    const early = Gain.measurement({ input: reading({ gatedSeconds: 3 }), source });
+    assert.deepEqual(early, { measured: null, source });
+    const late = Gain.measurement({ input: reading({ gatedSeconds: 12, integrated: -25 }), source });
+    assert.deepEqual(late, { measured: -25, source: 'live' });
+  });
+  const seeded = Gain.measurement({ input: reading({ gatedSeconds: 3, shortTerm: -19 }), source: 'preanalysis' });
+  assert.deepEqual(seeded, { measured: -19, source: 'preanalysis' });
+});
+
+test('speech-gated gain follows speech and holds between utterances', () => {
+  const input = reading({ gatedSeconds: 20 });
+  const pause = Gain.measurement({ input, source: 'live', speechGated: true, speech: false, speechLoudness: -26 });
+  assert.equal(pause.measured, null);
+  const talk = Gain.measurement({ input, source: 'live', speechGated: true, speech: true, speechLoudness: -26 });
+  assert.equal(talk.measured, -26);
+});
+
+test('published loudness is an offset from the reference, or absolute as a fallback', () => {
+  assert.equal(Gain.published({ loudnessDb: -3.5, perceptualLoudnessDb: -19 }), -17.5);
+  assert.equal(Gain.published({ loudnessDb: 2, perceptualLoudnessDb: null }), -12);
+  assert.equal(Gain.published({ loudnessDb: null, perceptualLoudnessDb: -19.2 }), -19.2);
+  assert.equal(Gain.published({ loudnessDb: null, perceptualLoudnessDb: null }), null);
+  assert.equal(Gain.published({ loudnessDb: 99, perceptualLoudnessDb: -19 }), null, 'a bad offset is not replaced');
+  assert.equal(Gain.published({ loudnessDb: null, perceptualLoudnessDb: 5 }), null);
+});
+
+// ─── Rendered ────────────────────────────────────────────────
+// The content script's loop in miniature: input meter → gain rule
+// every 100 ms → auto-gain node → true-peak limiter → output meter.
+// `changes` maps a time in seconds to a settings change applied then;
+// `night` applies night mode's ceiling and gain cap.
+async function render(samples, { settings, changes = {}, night = false }) {
+  const ctx = new OfflineAudioContext(2, samples.length, RATE);
+  await ctx.audioWorklet.addModule('worklets/loudness-meter.js');
+  await ctx.audioWorklet.addModule('worklets/true-peak-limiter.js');
+
+  const meter = () => new AudioWorkletNode(ctx, 'loudness-meter', { numberOfInputs: 1, numberOfOutputs: 0 });
+  const inputMeter = meter();
+  const outputMeter = meter();
+  const autoGain = ctx.createGain();
+  const limiter = new AudioWorkletNode(ctx, 'true-peak-limiter', {
+    outputChannelCount: [2],
+    channelCount: 2,
+    channelCountMode: 'explicit',
+    processorOptions: { lookahead: settings.limiterLookahead }
+  });
+  limiter.parameters.get('ceiling').value = night ? Night.ceiling(settings) : settings.limiterThreshold;
+  const maxGain = night ? settings.nightMaxGain : Gain.RANGE_DB;
+
+  const silent = { momentary: -Infinity, shortTerm: -Infinity, integrated: -Infinity, gatedSeconds: 0 };
+  const levels = { input: silent, output: silent };
+  inputMeter.port.onmessage = (e) => { levels.input = e.data; };
+  outputMeter.port.onmessage = (e) => { levels.output = e.data; };
+
+  const source = play(ctx, samples);
+  source.connect(inputMeter);
+  source.connect(autoGain).connect(limiter).connect(ctx.destination);
+  limiter.connect(outputMeter);
+
+  let gain = 0;
+  let gainSource = 'live';
+  const log = [];
+  every(ctx, 0.1, (time) => {
+    const t = Math.round(time * 10) / 10;
+    if (changes[t]) settings = Presets.applyUpdate(settings, Settings.sanitize(changes[t]));
+    const { measured, source: next } = Gain.measurement({ input: levels.input, source: gainSource });
+    gainSource = next;
+    if (measured !== null) gain = Gain.step(gain, measured, settings.targetLevel, maxGain);
+    autoGain.gain.setTargetAtTime(Gain.dBtoLinear(gain), time, 0.3);
+    log.push({ t, gain, preset: settings.preset, target: settings.targetLevel, output: levels.output });
+  });
+
+  const out = await ctx.startRendering();
+  return { output: out.getChannelData(0), log };
+}
+
+const at = (log, t) => log.find((entry) => entry.t === t);
+
+test('pink noise converges to the target loudness', async () => {
+  const settings = Presets.applyUpdate(Settings.DEFAULTS, { preset: 'medium' });
+  const { log } = await render(pinkNoise({ rmsDb: -32, seconds: 20 }), { settings });
+  const end = at(log, 19.9);
+  assert.ok(Math.abs(end.output.shortTerm - settings.targetLevel) < 0.5,
+    `output ${end.output.shortTerm} LUFS, target ${settings.targetLevel}`);
+});
+
+test('a loud/quiet step re-converges with peaks under the ceiling', async () => {
+  const settings = Presets.applyUpdate(Settings.DEFAULTS, { preset: 'medium' });
+  const signal = concat(pinkNoise({ rmsDb: -38, seconds: 15 }), pinkNoise({ rmsDb: -12, seconds: 15, seed: 2 }));
+  const { output, log } = await render(signal, { settings });
+  const quiet = at(log, 14.9);
+  const loud = at(log, 29.9);
+  assert.ok(quiet.gain > 15, `gain ${quiet.gain} dB during the quiet part`);
+  assert.ok(Math.abs(loud.output.shortTerm - settings.targetLevel) < 1,
+    `output ${loud.output.shortTerm} LUFS after the step`);
+  assert.ok(peakDB(output) <= settings.limiterThreshold + 0.01, `peak ${peakDB(output)} dBFS`);
+});
+
+test('preset and custom transitions retarget the gain', async () => {
+  const settings = Presets.applyUpdate(Settings.DEFAULTS, { preset: 'light' });
+  const changes = { 15: { preset: 'heavy' }, 30: { targetLevel: -20 } };
+  const { log } = await render(pinkNoise({ rmsDb: -30, seconds: 45 }), { settings, changes });
+
+  [[14.9, 'light'], [29.9, 'heavy'], [44.9, 'custom']].forEach(([t, preset]) => {
+    const entry = at(log, t);
+    assert.equal(entry.preset, preset);
+    assert.ok(Math.abs(entry.output.shortTerm - entry.target) < 1,
+      `${preset}: output ${entry.output.shortTerm} LUFS, target ${entry.target}`);
+  });
+  assert.equal(at(log, 29.9).target, Presets.BUILTIN.heavy.targetLevel);
+  assert.equal(at(log, 44.9).target, -20);
+});
+
+test('night mode caps the gain and lowers the ceiling', async () => {
+  const settings = Presets.applyUpdate(Settings.DEFAULTS, { preset: 'medium' });
+  const signal = concat(pinkNoise({ rmsDb: -40, seconds: 8 }), pinkNoise({ rmsDb: -10, seconds: 2, seed: 2 }));
+  const { output, log } = await render(signal, { settings, night: true });
+  assert.equal(at(log, 7.9).gain, settings.nightMaxGain);
+  assert.ok(peakDB(output) <= settings.nightCeiling + 0.01, `peak ${peakDB(output)} dBFS`);
+});
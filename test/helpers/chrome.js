@@ -0,0 +1,192 @@
+// ─────────────────────────────────────────────────────────────
+// In-memory stand-in for the chrome.* APIs the extension uses:
+// storage areas (callback and promise forms, onChanged), runtime
+// messaging and events, tabs, commands, alarms and the toolbar
+// action. Events expose dispatch() so tests can fire them.
+// ─────────────────────────────────────────────────────────────
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const EXTENSION_ID = 'testextensionid';
+
+// Storage and messages are serialized, as in Chrome
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+function createEvent() {
+  const listeners = [];
+  return {
+    addListener: (fn) => { listeners.push(fn); },
+    removeListener: (fn) => {
+      const i = listeners.indexOf(fn);
+      if (i >= 0) listeners.splice(i, 1);
+    },
+    hasListener: (fn) => listeners.includes(fn),
+    dispatch: (...args) => listeners.map((fn) => fn(...args))
+  };
+}
+
+// Every method takes an optional trailing callback and otherwise
+// returns a promise; callbacks run asynchronously, like Chrome's
+function callbackOrPromise(api) {
+  const out = {};
+  Object.keys(api).forEach((name) => {
+    out[name] = (...args) => {
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const result = Promise.resolve().then(() => api[name](...args));
+      if (!callback) return result;
+      result.then((value) => callback(value));
+      return undefined;
+    };
+  });
+  return out;
+}
+
+// ─── Storage ─────────────────────────────────────────────────
+function createStorageArea(areaName, onChanged) {
+  const data = {};
+
+  function pick(keys) {
+    if (keys == null) return clone(data);
+    if (typeof keys === 'string') keys = [keys];
+    if (Array.isArray(keys)) {
+      return Object.fromEntries(keys.filter((k) => k in data).map((k) => [k, clone(data[k])]));
+    }
+    return Object.fromEntries(Object.keys(keys).map((k) => [k, k in data ? clone(data[k]) : keys[k]]));
+  }
+
+  function write(keys, value) {
+    const changes = {};
+    keys.forEach((k) => {
+      const next = value(k);
+      if (next === undefined && !(k in data)) return;
+      changes[k] = { oldValue: clone(data[k]), newValue: clone(next) };
+      if (next === undefined) delete data[k];
+      else data[k] = clone(next);
+    });
+    if (Object.keys(changes).length) onChanged.dispatch(changes, areaName);
+  }
+
+  const area = callbackOrPromise({
+    get: (keys) => pick(keys),
+    set: (items) => write(Object.keys(items), (k) => items[k]),
+    remove: (keys) => write([].concat(keys), () => undefined),
+    clear: () => write(Object.keys(data), () => undefined)
+  });
+  area.data = data;   // direct access for assertions
+  return area;
+}
+
+// ─── chrome ──────────────────────────────────────────────────
+function createChrome() {
+  const onChanged = createEvent();
+  const badges = {};   // tabId → { text, color, title, icon }
+  const sent = [];     // messages sent to tabs: { tabId, msg, options }
+  const openTabs = []; // what tabs.query finds: { id, url }
+  const alarms = {};   // name → { name, scheduledTime }
+  const badge = (tabId) => badges[tabId] || (badges[tabId] = {});
+
+  const chrome = {
+    storage: {
+      sync:    createStorageArea('sync', onChanged),
+      local:   createStorageArea('local', onChanged),
+      session: createStorageArea('session', onChanged),
+      onChanged
+    },
+    runtime: {
+      id: EXTENSION_ID,
+      lastError: undefined,
+      getURL: (p) => `chrome-extension://${EXTENSION_ID}/${p}`,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage: createEvent(),
+      onConnect: createEvent(),
+      sendMessage: (msg, callback) => {
+        const reply = deliver(chrome, msg, { id: EXTENSION_ID });
+        if (!callback) return reply;
+        reply.then(callback);
+        return undefined;
+      }
+    },
+    tabs: {
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      // Only the `url` filter, with host wildcards
+      query: async ({ url } = {}) => openTabs.filter((t) => !url || [].concat(url).some((pattern) => {
+        const re = pattern.replace(/[.?+^$()|[\]{}\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${re}$`).test(t.url);
+      })),
+      update: async (tabId, props) => ({ id: tabId, ...props }),
+      sendMessage: (tabId, msg, options, callback) => {
+        if (typeof options === 'function') [options, callback] = [{}, options];
+        sent.push({ tabId, msg: clone(msg), options: clone(options) });
+        if (callback) setTimeout(() => callback(undefined));
+      }
+    },
+    windows: {
+      update: async (windowId, props) => ({ id: windowId, ...props })
+    },
+    commands: {
+      onCommand: createEvent()
+    },
+    alarms: {
+      ...callbackOrPromise({
+        create: (name, { when }) => { alarms[name] = { name, scheduledTime: when }; },
+        clear: (name) => {
+          const had = name in alarms;
+          delete alarms[name];
+          return had;
+        },
+        get: (name) => alarms[name]
+      }),
+      onAlarm: createEvent()
+    },
+    action: callbackOrPromise({
+      setBadgeText: ({ tabId, text }) => { badge(tabId).text = text; },
+      setBadgeBackgroundColor: ({ tabId, color }) => { badge(tabId).color = color; },
+      setTitle: ({ tabId, title }) => { badge(tabId).title = title; },
+      setIcon: ({ tabId, path: icon, imageData }) => { badge(tabId).icon = icon ? 'lit' : imageData && 'dimmed'; }
+    })
+  };
+  chrome.action.badges = badges;
+  chrome.tabs.sent = sent;
+  chrome.tabs.open = openTabs;
+  chrome.alarms.all = alarms;
+  return chrome;
+}
+
+// Sends `msg` to the runtime.onMessage listeners as if from `sender`;
+// resolves with the response, or undefined if nobody answers
+function deliver(chrome, msg, sender) {
+  return new Promise((resolve) => {
+    let async = false;
+    const respond = (resp) => resolve(clone(resp));
+    chrome.runtime.onMessage.dispatch(clone(msg), sender, respond).forEach((r) => {
+      if (r === true) async = true;
+    });
+    if (!async) setTimeout(() => resolve(undefined));
+  });
+}
+
+// ─── Scripts ─────────────────────────────────────────────────
+// Runs extension scripts in a fresh global with `chrome` set, as
+// the service worker does; importScripts resolves from the root
+function loadScripts(chrome, files, globals = {}) {
+  const context = vm.createContext({ chrome, console, setTimeout, clearTimeout, ...globals });
+  const run = (file) => {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  };
+  context.importScripts = (...list) => list.forEach(run);
+  files.forEach(run);
+  return context;
+}
+
+// Lets pending callbacks and timers run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+module.exports = { createChrome, createEvent, deliver, loadScripts, settle };
@@ -0,0 +1,407 @@
+// ─────────────────────────────────────────────────────────────
+// Offline Web Audio for the test suite: the subset of
+// OfflineAudioContext the processing chain is built from (buffer
+// sources, gain nodes, AudioWorklet nodes, suspend / resume),
+// rendered in 128-frame quanta. Worklet modules run in a vm
+// context providing the AudioWorkletGlobalScope names they use.
+// AudioParams are k-rate: evaluated once per quantum.
+// ─────────────────────────────────────────────────────────────
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const QUANTUM = 128;
+
+// ─── AudioBuffer ─────────────────────────────────────────────
+class AudioBuffer {
+  constructor({ numberOfChannels = 1, length, sampleRate }) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  getChannelData(c) {
+    return this.channels[c];
+  }
+}
+
+// ─── AudioParam ──────────────────────────────────────────────
+// Supports set / linear ramp / target events in time order
+class AudioParam {
+  constructor(value, minValue = -3.4028235e38, maxValue = 3.4028235e38) {
+    this.defaultValue = value;
+    this.minValue = minValue;
+    this.maxValue = maxValue;
+    this.current = value;
+    this.events = [];
+    this.lastTime = 0;   // time of the last event reached
+    this.rampFrom = null;
+    this.approach = null;
+  }
+
+  get value() { return this.current; }
+  set value(v) {
+    this.events = [];
+    this.approach = null;
+    this.current = v;
+  }
+
+  schedule(e) {
+    this.events.push(e);
+    this.events.sort((a, b) => a.time - b.time);
+    return this;
+  }
+
+  setValueAtTime(value, time) { return this.schedule({ type: 'set', value, time }); }
+  linearRampToValueAtTime(value, time) { return this.schedule({ type: 'linear', value, time }); }
+  setTargetAtTime(value, time, tau) { return this.schedule({ type: 'target', value, time, tau }); }
+  cancelScheduledValues(time) {
+    this.events = this.events.filter((e) => e.time < time);
+    return this;
+  }
+
+  // Value at context time `t`; called once per quantum, in order
+  valueAt(t, dt) {
+    while (this.events.length) {
+      const e = this.events[0];
+      if (e.type === 'linear') {
+        if (t < e.time) {
+          if (!this.rampFrom) this.rampFrom = { value: this.current, time: this.lastTime };
+          const { value, time } = this.rampFrom;
+          this.current = value + (e.value - value) * (t - time) / (e.time - time);
+          return this.clamp();
+        }
+        this.current = e.value;
+        this.approach = null;
+      } else if (e.time > t) {
+        break;
+      } else if (e.type === 'set') {
+        this.current = e.value;
+        this.approach = null;
+      } else {
+        this.approach = e;
+      }
+      this.events.shift();
+      this.lastTime = e.time;
+      this.rampFrom = null;
+    }
+    if (this.approach) {
+      const { value, tau } = this.approach;
+      this.current = tau > 0 ? value + (this.current - value) * Math.exp(-dt / tau) : value;
+    }
+    return this.clamp();
+  }
+
+  clamp() {
+    return Math.max(this.minValue, Math.min(this.maxValue, this.current));
+  }
+}
+
+// ─── Nodes ───────────────────────────────────────────────────
+class AudioNode {
+  constructor(context, { numberOfInputs = 1, numberOfOutputs = 1, channelCount = 2,
+    channelCountMode = 'max' } = {}) {
+    this.context = context;
+    this.numberOfInputs = numberOfInputs;
+    this.numberOfOutputs = numberOfOutputs;
+    this.channelCount = channelCount;
+    this.channelCountMode = channelCountMode;
+    this.sources = Array.from({ length: numberOfInputs }, () => []);   // { node, output }
+    this.outputs = Array.from({ length: numberOfOutputs }, () => []);  // channel arrays
+    this.renderedAt = -1;
+    context.nodes.add(this);
+  }
+
+  connect(destination, output = 0, input = 0) {
+    if (!(destination instanceof AudioNode)) throw new TypeError('Only node connections are supported');
+    if (output >= this.numberOfOutputs || input >= destination.numberOfInputs) {
+      throw new RangeError('Connection index out of range');
+    }
+    destination.sources[input].push({ node: this, output });
+    return destination;
+  }
+
+  disconnect(destination) {
+    this.context.nodes.forEach((node) => {
+      if (destination && node !== destination) return;
+      node.sources = node.sources.map((list) => list.filter((s) => s.node !== this));
+    });
+  }
+
+  // Sum of everything connected to input `i`, mixed to the node's
+  // channel count (mono is copied up, anything else truncated)
+  input(i) {
+    const list = this.sources[i];
+    if (!list.length) return [];
+    const streams = list.map(({ node, output }) => node.render().outputs[output]);
+    const widest = Math.max(...streams.map((s) => s.length));
+    const channels = this.channelCountMode === 'explicit' ? this.channelCount
+      : this.channelCountMode === 'clamped-max' ? Math.min(widest, this.channelCount) : widest;
+    const mixed = Array.from({ length: channels }, () => new Float32Array(QUANTUM));
+    streams.forEach((s) => {
+      if (!s.length) return;
+      mixed.forEach((out, c) => {
+        const src = s.length === 1 ? s[0] : s[c];
+        if (!src) return;
+        for (let n = 0; n < QUANTUM; n++) out[n] += src[n];
+      });
+    });
+    return mixed;
+  }
+
+  // Renders this node's outputs for the current quantum, once
+  render() {
+    const frame = this.context.frame;
+    if (this.renderedAt !== frame) {
+      this.renderedAt = frame;
+      this.process(this.sources.map((_, i) => this.input(i)));
+    }
+    return this;
+  }
+}
+
+const silence = (channels) => Array.from({ length: channels }, () => new Float32Array(QUANTUM));
+
+class AudioBufferSourceNode extends AudioNode {
+  constructor(context) {
+    super(context, { numberOfInputs: 0 });
+    this.buffer = null;
+    this.startFrame = Infinity;
+  }
+
+  start(when = 0) {
+    this.startFrame = Math.round(when * this.context.sampleRate);
+  }
+
+  process() {
+    const buffer = this.buffer;
+    const out = silence(buffer ? buffer.numberOfChannels : 1);
+    if (buffer) {
+      const offset = this.context.frame - this.startFrame;
+      out.forEach((ch, c) => {
+        const data = buffer.getChannelData(c);
+        for (let n = 0; n < QUANTUM; n++) {
+          const k = offset + n;
+          if (k >= 0 && k < data.length) ch[n] = data[k];
+        }
+      });
+    }
+    this.outputs[0] = out;
+  }
+}
+
+class GainNode extends AudioNode {
+  constructor(context) {
+    super(context);
+    this.gain = new AudioParam(1);
+  }
+
+  process([input]) {
+    const g = this.gain.valueAt(this.context.currentTime, QUANTUM / this.context.sampleRate);
+    const out = input.length ? input : silence(1);
+    out.forEach((ch) => { for (let n = 0; n < QUANTUM; n++) ch[n] *= g; });
+    this.outputs[0] = out;
+  }
+}
+
+class AudioDestinationNode extends AudioNode {
+  constructor(context, channels) {
+    super(context, { numberOfOutputs: 0, channelCount: channels, channelCountMode: 'explicit' });
+    this.maxChannelCount = channels;
+  }
+
+  process([input]) {
+    const { frame, rendered } = this.context;
+    input.forEach((ch, c) => {
+      const data = rendered.getChannelData(c);
+      data.set(ch.subarray(0, Math.min(QUANTUM, data.length - frame)), frame);
+    });
+  }
+}
+
+// Both ends of a MessageChannel; messages are delivered at once,
+// so a meter's report is in place when a suspend() resolves
+function createPorts() {
+  const node = { onmessage: null };
+  const processor = { onmessage: null };
+  node.postMessage = (data) => { if (processor.onmessage) processor.onmessage({ data }); };
+  processor.postMessage = (data) => { if (node.onmessage) node.onmessage({ data }); };
+  return { node, processor };
+}
+
+class AudioWorkletNode extends AudioNode {
+  constructor(context, name, options = {}) {
+    super(context, {
+      numberOfInputs: options.numberOfInputs != null ? options.numberOfInputs : 1,
+      numberOfOutputs: options.numberOfOutputs != null ? options.numberOfOutputs : 1,
+      channelCount: options.channelCount,
+      channelCountMode: options.channelCountMode
+    });
+    const scope = context.audioWorklet.scope;
+    const Processor = scope.processors[name];
+    if (!Processor) throw new Error(`Processor "${name}" is not registered`);
+
+    const ports = createPorts();
+    this.port = ports.node;
+    this.outputChannelCount = options.outputChannelCount;
+    this.parameters = new Map((Processor.parameterDescriptors || []).map((d) =>
+      [d.name, new AudioParam(d.defaultValue, d.minValue, d.maxValue)]));
+    this.processor = scope.construct(Processor, ports.processor, options);
+  }
+
+  process(inputs) {
+    const outputs = Array.from({ length: this.numberOfOutputs }, (_, i) =>
+      silence(this.outputChannelCount ? this.outputChannelCount[i]
+        : Math.max(1, inputs[0] ? inputs[0].length : 1)));
+    const parameters = {};
+    this.parameters.forEach((param, name) => {
+      parameters[name] = new Float32Array([
+        param.valueAt(this.context.currentTime, QUANTUM / this.context.sampleRate)]);
+    });
+    this.processor.process(inputs, outputs, parameters);
+    this.outputs = outputs;
+  }
+}
+
+// ─── AudioWorklet ────────────────────────────────────────────
+// One global scope per context. Each module is wrapped in a
+// function so its top-level names stay private, as in a module.
+function createWorkletScope(sampleRate) {
+  const processors = {};
+  let nextPort = null;
+
+  class AudioWorkletProcessor {
+    constructor() {
+      this.port = nextPort;
+    }
+  }
+
+  const context = vm.createContext({
+    AudioWorkletProcessor,
+    sampleRate,
+    currentTime: 0,
+    console,
+    registerProcessor: (name, ctor) => { processors[name] = ctor; }
+  });
+
+  return {
+    processors,
+    load(file) {
+      const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+      vm.runInContext(`(function () {\n${code}\n})();`, context, { filename: file, lineOffset: -1 });
+    },
+    construct(Processor, port, options) {
+      nextPort = port;
+      try {
+        return new Processor(options);
+      } finally {
+        nextPort = null;
+      }
+    }
+  };
+}
+
+// ─── OfflineAudioContext ─────────────────────────────────────
+class OfflineAudioContext {
+  constructor(numberOfChannels, length, sampleRate) {
+    if (typeof numberOfChannels === 'object') ({ numberOfChannels = 1, length, sampleRate } = numberOfChannels);
+    this.sampleRate = sampleRate;
+    this.length = length;
+    this.frame = 0;
+    this.state = 'suspended';
+    this.nodes = new Set();
+    this.suspends = new Map();   // frame → resolve
+    this.resumeRendering = null;
+    this.rendered = new AudioBuffer({ numberOfChannels, length, sampleRate });
+    this.destination = new AudioDestinationNode(this, numberOfChannels);
+
+    const scope = createWorkletScope(sampleRate);
+    this.audioWorklet = {
+      scope,
+      addModule: async (url) => scope.load(String(url).replace(/^chrome-extension:\/\/[^/]+\//, ''))
+    };
+  }
+
+  get currentTime() {
+    return this.frame / this.sampleRate;
+  }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new AudioBuffer({ numberOfChannels, length, sampleRate });
+  }
+
+  createBufferSource() { return new AudioBufferSourceNode(this); }
+  createGain() { return new GainNode(this); }
+
+  // Resolves when rendering reaches `time` (rounded down to a
+  // quantum); rendering then waits for resume()
+  suspend(time) {
+    const frame = Math.floor(time * this.sampleRate / QUANTUM) * QUANTUM;
+    if (frame >= this.length || frame < this.frame || this.suspends.has(frame)) {
+      return Promise.reject(new Error(`Cannot suspend at ${time} s`));
+    }
+    return new Promise((resolve) => this.suspends.set(frame, resolve));
+  }
+
+  resume() {
+    const resume = this.resumeRendering;
+    this.resumeRendering = null;
+    if (resume) resume();
+    return Promise.resolve();
+  }
+
+  async startRendering() {
+    this.state = 'running';
+    for (this.frame = 0; this.frame < this.length; this.frame += QUANTUM) {
+      const suspended = this.suspends.get(this.frame);
+      if (suspended) {
+        this.suspends.delete(this.frame);
+        this.state = 'suspended';
+        await new Promise((resume) => {
+          this.resumeRendering = resume;
+          suspended();
+        });
+        this.state = 'running';
+      }
+      // Sinks first pull everything upstream; unconnected worklet
+      // nodes (meters) are processed like any other node
+      this.destination.render();
+      this.nodes.forEach((node) => { if (!node.numberOfOutputs) node.render(); });
+    }
+    this.frame = this.length;
+    this.state = 'closed';
+    return this.rendered;
+  }
+}
+
+// Buffer source playing `samples` from t = 0: an array of channels,
+// or one Float32Array copied to `channels` channels
+function play(context, samples, channels = 2) {
+  const data = Array.isArray(samples) ? samples : Array.from({ length: channels }, () => samples);
+  const buffer = context.createBuffer(data.length, data[0].length, context.sampleRate);
+  data.forEach((ch, c) => buffer.getChannelData(c).set(ch));
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.start(0);
+  return source;
+}
+
+// Calls `tick(time)` every `seconds` of rendering, like the content
+// script's metering interval
+function every(context, seconds, tick) {
+  const duration = context.length / context.sampleRate;
+  for (let t = seconds; t < duration; t += seconds) {
+    context.suspend(t).then(() => {
+      tick(context.currentTime);
+      context.resume();
+    });
+  }
+}
+
+module.exports = { QUANTUM, OfflineAudioContext, AudioWorkletNode, AudioBuffer, AudioParam, play, every };
@@ -0,0 +1,86 @@
+// ─────────────────────────────────────────────────────────────
+// Test signals (mono Float32Arrays) and level measurements.
+// Noise is seeded so every run renders the same samples.
+// ─────────────────────────────────────────────────────────────
+
+'use strict';
+
+const RATE = 48000;
+
+const dBtoLinear = (dB) => Math.pow(10, dB / 20);
+const linearToDB = (v) => 20 * Math.log10(v);
+
+// Sine with its peak at `dbfs`
+function tone({ freq = 1000, dbfs = -20, seconds = 1, rate = RATE, phase = 0 } = {}) {
+  const out = new Float32Array(Math.round(seconds * rate));
+  const a = dBtoLinear(dbfs);
+  for (let n = 0; n < out.length; n++) out[n] = a * Math.sin(2 * Math.PI * freq * n / rate + phase);
+  return out;
+}
+
+// Deterministic uniform noise in [-1, 1) (mulberry32)
+function random(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2147483648 - 1;
+  };
+}
+
+// Pink noise (Paul Kellett's filter) scaled to an RMS of `rmsDb`
+function pinkNoise({ rmsDb = -20, seconds = 1, rate = RATE, seed = 1 } = {}) {
+  const out = new Float32Array(Math.round(seconds * rate));
+  const white = random(seed);
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let n = 0; n < out.length; n++) {
+    const w = white();
+    b0 = 0.99886 * b0 + w * 0.0555179;
+    b1 = 0.99332 * b1 + w * 0.0750759;
+    b2 = 0.96900 * b2 + w * 0.1538520;
+    b3 = 0.86650 * b3 + w * 0.3104856;
+    b4 = 0.55000 * b4 + w * 0.5329522;
+    b5 = -0.7616 * b5 - w * 0.0168980;
+    out[n] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362;
+    b6 = w * 0.115926;
+  }
+  return scale(out, rmsDb - rmsDB(out));
+}
+
+function silence({ seconds = 1, rate = RATE } = {}) {
+  return new Float32Array(Math.round(seconds * rate));
+}
+
+function scale(samples, dB) {
+  const g = dBtoLinear(dB);
+  return samples.map((v) => v * g);
+}
+
+function concat(...parts) {
+  const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+}
+
+// ─── Measurements ────────────────────────────────────────────
+function peakDB(samples, from = 0, to = samples.length) {
+  let peak = 0;
+  for (let n = from; n < to; n++) peak = Math.max(peak, Math.abs(samples[n]));
+  return linearToDB(peak);
+}
+
+function rmsDB(samples, from = 0, to = samples.length) {
+  let sum = 0;
+  for (let n = from; n < to; n++) sum += samples[n] * samples[n];
+  return 10 * Math.log10(sum / (to - from));
+}
+
+module.exports = {
+  RATE, dBtoLinear, linearToDB, tone, pinkNoise, silence, scale, concat, peakDB, rmsDB
+};
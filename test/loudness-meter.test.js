@@ -0,0 +1,92 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OfflineAudioContext, AudioWorkletNode, play } = require('./helpers/offline-audio');
+const { RATE, tone, pinkNoise, silence, concat } = require('./helpers/signals');
+
+// Renders `samples` through a loudness meter; resolves with every
+// report (one per 100 ms block)
+async function measure(samples, { channels = 2, onReport } = {}) {
+  const length = Array.isArray(samples) ? samples[0].length : samples.length;
+  const ctx = new OfflineAudioContext(2, length, RATE);
+  await ctx.audioWorklet.addModule('worklets/loudness-meter.js');
+  const meter = new AudioWorkletNode(ctx, 'loudness-meter', { numberOfInputs: 1, numberOfOutputs: 0 });
+  const reports = [];
+  meter.port.onmessage = (e) => {
+    reports.push(e.data);
+    if (onReport) onReport(e.data, meter);
+  };
+  play(ctx, samples, channels).connect(meter);
+  await ctx.startRendering();
+  return reports;
+}
+
+const last = (list) => list[list.length - 1];
+
+test('a stereo 1 kHz tone at −20 dBFS reads −20 LUFS', async () => {
+  const reports = await measure(tone({ dbfs: -20, seconds: 5 }));
+  const r = last(reports);
+  assert.ok(Math.abs(r.momentary + 20) < 0.1, `momentary ${r.momentary}`);
+  assert.ok(Math.abs(r.shortTerm + 20) < 0.1, `short-term ${r.shortTerm}`);
+  assert.ok(Math.abs(r.integrated + 20) < 0.1, `integrated ${r.integrated}`);
+  assert.ok(r.lra < 0.2, `loudness range ${r.lra}`);
+});
+
+test('a tone in one channel only reads 3 LU quieter', async () => {
+  const t = tone({ dbfs: -20, seconds: 2 });
+  const r = last(await measure([t, new Float32Array(t.length)]));
+  assert.ok(Math.abs(r.integrated + 23) < 0.1, `integrated ${r.integrated}`);
+});
+
+test('reports every 100 ms of audio', async () => {
+  const reports = await measure(pinkNoise({ seconds: 3 }));
+  assert.equal(reports.length, 30);
+});
+
+test('silence is gated out entirely', async () => {
+  const r = last(await measure(silence({ seconds: 2 })));
+  assert.equal(r.momentary, -Infinity);
+  assert.equal(r.integrated, -Infinity);
+  assert.equal(r.gatedSeconds, 0);
+});
+
+test('quiet passages fall below the relative gate', async () => {
+  const signal = concat(pinkNoise({ rmsDb: -20, seconds: 10 }), pinkNoise({ rmsDb: -50, seconds: 10, seed: 2 }));
+  const reports = await measure(signal);
+  const loud = reports[99].integrated;
+  const r = last(reports);
+  assert.ok(Math.abs(r.integrated - loud) < 0.2, `integrated ${r.integrated}, loud part ${loud}`);
+});
+
+test('a loud/quiet step shows in momentary and short-term', async () => {
+  const signal = concat(pinkNoise({ rmsDb: -15, seconds: 5 }), pinkNoise({ rmsDb: -35, seconds: 5, seed: 2 }));
+  const reports = await measure(signal);
+  const before = reports[49];
+  const after = last(reports);
+  assert.ok(Math.abs(after.momentary - before.momentary + 20) < 0.5);
+  assert.ok(Math.abs(after.shortTerm - before.shortTerm + 20) < 0.5);
+});
+
+test('nothing is added to the integrated measurement while held', async () => {
+  const signal = concat(pinkNoise({ rmsDb: -30, seconds: 5 }), pinkNoise({ rmsDb: -10, seconds: 5, seed: 2 }));
+  let tick = 0;
+  const reports = await measure(signal, {
+    onReport: (r, meter) => { if (++tick === 50) meter.port.postMessage({ type: 'hold', hold: true }); }
+  });
+  const r = last(reports);
+  assert.ok(Math.abs(r.integrated - reports[49].integrated) < 0.1, `integrated ${r.integrated}`);
+  assert.ok(r.shortTerm > -11, `short-term ${r.shortTerm}`);
+});
+
+test('reset starts the measurement over', async () => {
+  const signal = concat(pinkNoise({ rmsDb: -10, seconds: 5 }), pinkNoise({ rmsDb: -30, seconds: 5, seed: 2 }));
+  let tick = 0;
+  const reports = await measure(signal, {
+    onReport: (r, meter) => { if (++tick === 50) meter.port.postMessage({ type: 'reset' }); }
+  });
+  const r = last(reports);
+  assert.ok(Math.abs(r.integrated - r.shortTerm) < 0.5, `integrated ${r.integrated}, short-term ${r.shortTerm}`);
+  assert.ok(r.gatedSeconds <= 5, `gated ${r.gatedSeconds} s`);
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Settings = require('../lib/settings.js');
+const Night = require('../lib/night.js');
+const Gain = require('../lib/gain.js');
+
+const at = (h, m) => new Date(2026, 2, 14, h, m);
+const schedule = (nightStart, nightEnd) => ({ ...Settings.DEFAULTS, nightSchedule: true, nightStart, nightEnd });
+
+test('windows may span midnight', () => {
+  assert.ok(Night.inWindow(1320, 420, 1380));   // 23:00 in 22:00–07:00
+  assert.ok(Night.inWindow(1320, 420, 60));
+  assert.ok(!Night.inWindow(1320, 420, 720));
+  assert.ok(Night.inWindow(1320, 420, 1320), 'start is inside');
+  assert.ok(!Night.inWindow(1320, 420, 420), 'end is outside');
+  assert.ok(Night.inWindow(60, 180, 120));
+  assert.ok(!Night.inWindow(60, 180, 200));
+  assert.ok(!Night.inWindow(300, 300, 300), 'start = end is empty');
+});
+
+test('the schedule only counts when switched on', () => {
+  assert.ok(Night.scheduled(schedule(1320, 420), at(23, 30)));
+  assert.ok(!Night.scheduled({ ...schedule(1320, 420), nightSchedule: false }, at(23, 30)));
+});
+
+test('the next change is the nearer of start and end', () => {
+  const s = schedule(1320, 420);
+  assert.equal(Night.nextChange(s, at(12, 0)), at(22, 0).getTime());
+  assert.equal(Night.nextChange(s, at(23, 0)), new Date(2026, 2, 15, 7, 0).getTime());
+  assert.equal(Night.nextChange(s, at(22, 0)), new Date(2026, 2, 15, 7, 0).getTime(), 'not the start just reached');
+  assert.equal(Night.nextChange(s, at(3, 0)), at(7, 0).getTime());
+});
+
+test('night values only make processing safer', () => {
+  const s = { ...Settings.DEFAULTS, nightThreshold: -40, nightRatio: 8, nightCeiling: -6, limiterThreshold: -1 };
+  assert.deepEqual(Night.compression(s, -24, 4), { threshold: -40, ratio: 8 });
+  assert.deepEqual(Night.compression(s, -50, 12), { threshold: -50, ratio: 12 });
+  assert.equal(Night.ceiling(s), -6);
+  assert.equal(Night.ceiling({ ...s, limiterThreshold: -9 }), -9);
+});
+
+test('auto-gain is capped', () => {
+  let gain = 0;
+  for (let i = 0; i < 200; i++) gain = Gain.step(gain, -40, -14, 6);
+  assert.equal(gain, 6);
+  assert.equal(Gain.clamp(20, 6), 6);
+  assert.equal(Gain.clamp(-30, 6), -Gain.RANGE_DB);
+});
+
+test('times of day are shown as hh:mm', () => {
+  assert.equal(Settings.format('nightStart', 1320), '22:00');
+  assert.equal(Settings.format('nightEnd', 435), '07:15');
+});
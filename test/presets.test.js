@@ -0,0 +1,94 @@
+'use strict';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChrome } = require('./helpers/chrome');
+const Settings = require('../lib/settings.js');
+const Presets = require('../lib/presets.js');
+
+beforeEach(() => {
+  globalThis.chrome = createChrome();
+});
+
+// ─── Preset / custom transitions ─────────────────────────────
+test('choosing a built-in preset brings its values along', () => {
+  const next = Presets.applyUpdate({ ...Settings.DEFAULTS, threshold: -50 }, { preset: 'heavy' });
+  assert.equal(next.preset, 'heavy');
+  Object.keys(Presets.BUILTIN.heavy).forEach((k) => assert.equal(next[k], Presets.BUILTIN.heavy[k], k));
+});
+
+test('preset values win over values sent with the selection', () => {
+  const next = Presets.applyUpdate(Settings.DEFAULTS, { preset: 'light', ratio: 12 });
+  assert.equal(next.ratio, Presets.BUILTIN.light.ratio);
+});
+
+test('changing a preset field departs to custom', () => {
+  const current = Presets.applyUpdate(Settings.DEFAULTS, { preset: 'medium' });
+  const next = Presets.applyUpdate(current, { ratio: 6 });
+  assert.equal(next.preset, 'custom');
+  assert.equal(next.ratio, 6);
+  assert.equal(next.threshold, current.threshold);
+});
+
+test('settings outside presets and unchanged values keep the preset', () => {
+  const current = Presets.applyUpdate(Settings.DEFAULTS, { preset: 'medium' });
+  assert.equal(Presets.applyUpdate(current, { enabled: false, smoothing: 50 }).preset, 'medium');
+  assert.equal(Presets.applyUpdate(current, { ratio: current.ratio }).preset, 'medium');
+});
+
+test('switching to custom keeps the current values', () => {
+  const current = Presets.applyUpdate(Settings.DEFAULTS, { preset: 'heavy' });
+  const next = Presets.applyUpdate(current, { preset: 'custom' });
+  assert.deepEqual(next, { ...current, preset: 'custom' });
+});
+
+test('the current settings are not modified', () => {
+  const current = { ...Settings.DEFAULTS };
+  Presets.applyUpdate(current, { preset: 'heavy' });
+  Presets.applyUpdate(current, { ratio: 8 });
+  assert.deepEqual(current, Settings.DEFAULTS);
+});
+
+// ─── User presets ────────────────────────────────────────────
+test('user presets are saved, listed after the built-ins, renamed and removed', async () => {
+  const id = await Presets.save({ name: '  Night  ', settings: { ...Settings.DEFAULTS, ratio: 8 } });
+  const saved = await Presets.get(id);
+  assert.equal(saved.name, 'Night');
+  assert.equal(saved.settings.ratio, 8);
+  assert.ok(!('enabled' in saved.settings), 'only preset fields are stored');
+
+  const list = await Presets.list();
+  assert.deepEqual(list.map((p) => p.id), [...Object.keys(Presets.BUILTIN), id]);
+
+  await Presets.rename(id, 'Late');
+  assert.equal((await Presets.get(id)).name, 'Late');
+  await Presets.remove(id);
+  assert.equal(await Presets.get(id), null);
+});
+
+test('built-in presets cannot be overwritten', async () => {
+  await assert.rejects(Presets.save({ id: 'medium', name: 'Medium', settings: {} }), /Built-in/);
+});
+
+test('export and import round-trip, replacing presets by name', async () => {
+  await Presets.save({ name: 'Night', settings: { ratio: 8 } });
+  const json = await Presets.exportJSON();
+
+  globalThis.chrome = createChrome();
+  await Presets.save({ name: 'Night', settings: { ratio: 2 } });
+  assert.equal(await Presets.importJSON(json), 1);
+  const user = (await Presets.list()).filter((p) => !p.builtin);
+  assert.equal(user.length, 1);
+  assert.equal(user[0].settings.ratio, 8);
+});
+
+test('malformed preset files are rejected before anything is written', async () => {
+  await assert.rejects(Presets.importJSON('{'), /not valid JSON/);
+  await assert.rejects(Presets.importJSON('{"format":"other"}'), /Not a YT Normalizer/);
+  const file = (presets) => JSON.stringify({
+    format: 'yt-audio-normalizer-presets', schemaVersion: 1, presets
+  });
+  await assert.rejects(Presets.importJSON(file([{ name: 'A', settings: { ratio: 'x' } }])), /"ratio" must be a number/);
+  assert.deepEqual(chrome.storage.sync.data, {});
+});
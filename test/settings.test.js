@@ -0,0 +1,60 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Settings = require('../lib/settings.js');
+
+test('defaults are valid settings', () => {
+  assert.deepEqual(Settings.sanitize(Settings.DEFAULTS), Settings.DEFAULTS);
+});
+
+test('sanitize clamps numbers to their range and snaps them to their step', () => {
+  const out = Settings.sanitize({ targetLevel: -40, ratio: 4.3, threshold: '-12', limiterThreshold: -0.94 });
+  assert.equal(out.targetLevel, Settings.FIELDS.targetLevel.min);
+  assert.equal(out.ratio, 4.5);
+  assert.equal(out.threshold, -12);
+  assert.equal(out.limiterThreshold, -0.9);
+});
+
+test('sanitize drops unknown, mistyped and out-of-choice values', () => {
+  const out = Settings.sanitize({ bogus: 1, enabled: 'yes', ratio: NaN, badge: 'sparkles', musicGainMode: 'album' });
+  assert.deepEqual(out, { musicGainMode: 'album' });
+  assert.deepEqual(Settings.sanitize(null), {});
+});
+
+test('withDefaults fills in missing fields', () => {
+  const out = Settings.withDefaults({ ratio: 8, smoothing: 'x' });
+  assert.equal(out.ratio, 8);
+  assert.equal(out.smoothing, Settings.DEFAULTS.smoothing);
+  assert.deepEqual(Object.keys(out).sort(), Object.keys(Settings.DEFAULTS).sort());
+});
+
+test('pickPresetFields keeps only what a preset carries', () => {
+  const out = Settings.pickPresetFields({ ...Settings.DEFAULTS, ratio: 9 });
+  assert.deepEqual(Object.keys(out).sort(), [...Settings.PRESET_KEYS].sort());
+  assert.equal(out.ratio, 9);
+});
+
+test('migrate copies current-version data and tolerates junk', () => {
+  const stored = { ratio: 8 };
+  const out = Settings.migrate(stored, Settings.VERSION);
+  assert.deepEqual(out, stored);
+  assert.notEqual(out, stored);
+  assert.deepEqual(Settings.migrate(undefined, 1), {});
+});
+
+test('format adds units and signs', () => {
+  assert.equal(Settings.format('makeupGain', 6), '+6 dB');
+  assert.equal(Settings.format('ratio', 4), '4 : 1');
+  assert.equal(Settings.format('badge', 'gain'), 'Auto-gain (dB)');
+  assert.equal(Settings.format('nightStart', 1320), '22:00');
+  assert.equal(Settings.format('nightEnd', 75), '01:15');
+  assert.equal(Settings.format('channelBalance', -20), 'L 20');
+  assert.equal(Settings.format('channelBalance', 0), 'Centre');
+});
+
+test('global fields are neither preset nor profile material', () => {
+  assert.deepEqual(Settings.GLOBAL_KEYS, ['nightSchedule', 'nightStart', 'nightEnd']);
+  assert.ok(Settings.GLOBAL_KEYS.every((k) => !Settings.PRESET_KEYS.includes(k)));
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Stats = require('../lib/stats.js');
+
+const loudness = (momentary, integrated = -Infinity, gatedSeconds = 0) =>
+  ({ momentary, shortTerm: momentary, integrated, lra: 0, gatedSeconds });
+const levels = (over) => ({
+  input: loudness(-20, -21, 12), output: loudness(-13, -14, 12), limiterReduction: 0, peak: -3, ...over
+});
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≠ ${expected}`);
+
+// A session with `seconds` of steady audio at the given loudness
+function session(programme, { channel, input = -21, output = -14, gain = 7, seconds = 20, started = 1000 } = {}) {
+  const s = Stats.create({ programme, title: `Title ${programme}`, channel, started });
+  const l = levels({ input: loudness(input, input, seconds), output: loudness(output, output, seconds) });
+  for (let i = 0; i < seconds * 10; i++) Stats.tick(s, l, gain);
+  return s;
+}
+
+// ─── Sessions ────────────────────────────────────────────────
+test('a session starts empty and takes what is known of title and channel', () => {
+  const s = Stats.create({ programme: 'abc', started: 5, channel: { key: 'UCx', name: 'A channel' } });
+  assert.equal(s.id, 'abc@5');
+  assert.equal(s.channel, 'A channel');
+  assert.equal(s.channelKey, 'UCx');
+  assert.equal(s.inputIntegrated, null);
+  Stats.describe(s, { title: 'Later', channel: null });
+  assert.equal(s.title, 'Later');
+  assert.equal(s.channelKey, 'UCx', 'an unknown channel keeps the last one');
+});
+
+test('ticks collect maxima, limiting time and the average gain; silence counts for nothing', () => {
+  const s = Stats.create({ programme: 'abc' });
+  Stats.tick(s, levels({ input: loudness(-80) }), 10);
+  assert.equal(s.seconds, 0);
+
+  Stats.tick(s, levels({ output: loudness(-10, -14, 12), peak: -0.5, limiterReduction: -2 }), 4);
+  Stats.tick(s, levels({ peak: -Infinity }), 8);
+  close(s.seconds, 0.2);
+  close(s.averageGain, 6);
+  close(s.limitingSeconds, 0.1);
+  assert.equal(s.outputMaxMomentary, -10);
+  assert.equal(s.inputMaxMomentary, -20);
+  assert.equal(s.peak, -0.5);
+  assert.equal(s.inputIntegrated, -21);
+  assert.equal(s.outputIntegrated, -14);
+});
+
+test('integrated values hold until the meter has gated audio', () => {
+  const s = Stats.create({ programme: 'abc' });
+  Stats.tick(s, levels({ input: loudness(-20, -Infinity, 0) }), 0);
+  assert.equal(s.inputIntegrated, null);
+});
+
+test('the history is newest first, updated in place and capped', () => {
+  const a = session('a', { started: 1 });
+  const b = session('b', { started: 2 });
+  let history = Stats.record(Stats.record([], a), b);
+  assert.deepEqual(history.map((s) => s.programme), ['b', 'a']);
+  history = Stats.record(history, { ...a, seconds: 99 });
+  assert.equal(history.length, 2);
+  assert.equal(history[1].seconds, 99);
+
+  for (let i = 0; i < Stats.MAX_SESSIONS + 5; i++) history = Stats.record(history, { ...a, id: `a@${i + 10}`, started: i + 10 });
+  assert.equal(history.length, Stats.MAX_SESSIONS);
+  assert.equal(history[0].started, Stats.MAX_SESSIONS + 14);
+});
+
+test('open sessions merge into the history; a clear hides everything begun before it', () => {
+  const a = session('a', { started: 1 });
+  const b = session('b', { started: 2 });
+  const history = Stats.merge([a], [{ ...b, ended: true }, { ...a, seconds: 99 }]);
+  assert.deepEqual(history.map((s) => s.programme), ['b', 'a']);
+  assert.equal(history[1].seconds, 99);
+  assert.ok(!('ended' in history[0]));
+  assert.deepEqual(Stats.merge(history, [], 2).map((s) => s.programme), ['b']);
+  assert.deepEqual(Stats.merge(undefined, undefined), []);
+});
+
+// ─── Summaries ───────────────────────────────────────────────
+test('per-video summaries combine plays as energy, weighted by time', () => {
+  const history = [
+    session('a', { input: -20, output: -14, seconds: 10, started: 1 }),
+    session('a', { input: -30, output: -14, seconds: 10, started: 2 })
+  ];
+  const [row] = Stats.summarize(history, 'programme');
+  assert.equal(row.sessions, 2);
+  close(row.seconds, 20);
+  close(row.inputIntegrated, 10 * Math.log10((Math.pow(10, -2) + Math.pow(10, -3)) / 2));
+  close(row.outputIntegrated, -14);
+  close(row.correction, row.outputIntegrated - row.inputIntegrated);
+  assert.equal(row.label, 'Title a');
+});
+
+test('channels needing the most correction come first', () => {
+  const quiet = { key: 'UCquiet', name: 'Quiet' };
+  const loud = { key: 'UCloud', name: 'Loud' };
+  const history = [
+    session('a', { channel: quiet, input: -30, gain: 16 }),
+    session('b', { channel: loud, input: -9, gain: -5 }),
+    session('c', { channel: quiet, input: -28, gain: 14 }),
+    session('d')   // no channel known
+  ];
+  const rows = Stats.summarize(history, 'channel');
+  assert.deepEqual(rows.map((r) => r.label), ['Quiet', 'Loud']);
+  assert.equal(rows[0].sessions, 2);
+  close(rows[0].averageGain, 15);
+});
+
+// ─── Export ──────────────────────────────────────────────────
+test('CSV quotes what needs quoting and defuses formulas', () => {
+  const csv = Stats.toCSV([
+    { title: 'Plain', gain: 3.14159, peak: null },
+    { title: 'A "quoted", title', gain: -Infinity, peak: -1 },
+    { title: '=HYPERLINK("x")', gain: 0, peak: 0 }
+  ], ['title', 'gain', 'peak']);
+  assert.deepEqual(csv.split('\r\n'), [
+    'title,gain,peak',
+    'Plain,3.14,',
+    '"A ""quoted"", title",,-1',
+    '"\'=HYPERLINK(""x"")",0,0',
+    ''
+  ]);
+});
+
+test('the JSON export is versioned', () => {
+  const data = JSON.parse(Stats.exportJSON([session('a')]));
+  assert.equal(data.format, 'yt-audio-normalizer-stats');
+  assert.equal(data.schemaVersion, 1);
+  assert.equal(data.sessions[0].programme, 'a');
+});
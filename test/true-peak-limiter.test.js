@@ -0,0 +1,76 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OfflineAudioContext, AudioWorkletNode, play } = require('./helpers/offline-audio');
+const { RATE, tone, pinkNoise, concat, peakDB } = require('./helpers/signals');
+
+const TP_DELAY = 6;   // interpolator group delay, see the worklet
+
+// Renders mono `samples` (copied to both channels) through the
+// limiter; resolves with the left output and every reduction and
+// peak report
+async function limit(samples, { ceiling = -1, release = 50, lookahead = 5 } = {}) {
+  const ctx = new OfflineAudioContext(2, samples.length, RATE);
+  await ctx.audioWorklet.addModule('worklets/true-peak-limiter.js');
+  const limiter = new AudioWorkletNode(ctx, 'true-peak-limiter', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+    channelCount: 2,
+    channelCountMode: 'explicit',
+    processorOptions: { lookahead }
+  });
+  limiter.parameters.get('ceiling').value = ceiling;
+  limiter.parameters.get('release').value = release;
+  const reports = [];
+  const peaks = [];
+  limiter.port.onmessage = (e) => {
+    reports.push(e.data.reduction);
+    peaks.push(e.data.peak);
+  };
+  play(ctx, samples).connect(limiter).connect(ctx.destination);
+  const out = await ctx.startRendering();
+  return { output: out.getChannelData(0), reports, peaks };
+}
+
+test('a tone 6 dB over full scale stays under the ceiling', async () => {
+  const { output, reports } = await limit(tone({ freq: 997, dbfs: 6, seconds: 1 }));
+  assert.ok(peakDB(output) <= -1 + 0.01, `peak ${peakDB(output)} dBFS`);
+  const worst = Math.min(...reports);
+  assert.ok(Math.abs(worst + 7) < 0.5, `reduction ${worst} dB`);
+});
+
+test('the ceiling parameter is followed', async () => {
+  const { output } = await limit(pinkNoise({ rmsDb: -6, seconds: 2 }), { ceiling: -6 });
+  assert.ok(peakDB(output) <= -6 + 0.01, `peak ${peakDB(output)} dBFS`);
+});
+
+test('a sudden loud step is caught by the lookahead', async () => {
+  const signal = concat(pinkNoise({ rmsDb: -40, seconds: 1 }), pinkNoise({ rmsDb: 0, seconds: 1, seed: 2 }));
+  const { output } = await limit(signal, { lookahead: 1 });
+  assert.ok(peakDB(output) <= -1 + 0.01, `peak ${peakDB(output)} dBFS`);
+});
+
+test('inter-sample peaks are detected', async () => {
+  // fs/4 at 45° puts every sample 3 dB below the true peak of 0 dBTP
+  const signal = tone({ freq: RATE / 4, dbfs: 0, seconds: 0.5, phase: Math.PI / 4 });
+  assert.ok(peakDB(signal) < -2.9);
+  const { reports, peaks } = await limit(signal);
+  const worst = Math.min(...reports);
+  assert.ok(worst < -0.5, `reduction ${worst} dB`);
+  const highest = Math.max(...peaks);
+  assert.ok(Math.abs(highest) < 0.2, `peak ${highest} dBTP`);
+});
+
+test('audio under the ceiling passes unchanged, delayed by the lookahead', async () => {
+  const lookahead = 5;
+  const signal = pinkNoise({ rmsDb: -30, seconds: 0.5 });
+  const { output, reports } = await limit(signal, { lookahead });
+  const latency = Math.round(lookahead / 1000 * RATE) - 1 + TP_DELAY;
+  for (let n = 0; n < signal.length - latency; n++) {
+    assert.ok(Math.abs(output[n + latency] - signal[n]) < 1e-6, `sample ${n}`);
+  }
+  assert.ok(reports.every((r) => r === 0));
+});
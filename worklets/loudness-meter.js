@@ -0,0 +1,240 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — Loudness Meter (AudioWorklet)
+// ITU-R BS.1770-4 / EBU R128 loudness measurement: K-weighting,
+// momentary (400 ms), short-term (3 s), gated integrated
+// loudness and loudness range (EBU Tech 3342). While held (e.g.
+// during an ad) momentary and short-term keep updating but nothing
+// is added to the integrated and range measurements.
+// ─────────────────────────────────────────────────────────────
+
+const BLOCK_SEC         = 0.1; // 100 ms sub-blocks → 75 % overlap
+const MOMENTARY_BLOCKS  = 4;   // 400 ms
+const SHORT_TERM_BLOCKS = 30;  // 3 s
+const ABSOLUTE_GATE     = -70; // LUFS
+const RELATIVE_GATE_I   = -10; // LU, integrated loudness
+const RELATIVE_GATE_LRA = -20; // LU, loudness range
+
+// Histogram resolution — 0.1 LU bins from −70 to +10 LUFS
+const HIST_MIN  = -70;
+const HIST_STEP = 0.1;
+const HIST_BINS = 800;
+
+const energyToLUFS = (e) => (e > 0 ? -0.691 + 10 * Math.log10(e) : -Infinity);
+
+// ─── K-weighting filter coefficients ─────────────────────────
+// Stage 1 (head-related high shelf) and stage 2 (RLB high-pass),
+// re-derived for the context sample rate as in libebur128.
+function kWeightingCoefficients(rate) {
+  let f0 = 1681.974450955533;
+  let Q  = 0.7071752369554196;
+  const G  = 3.999843853973347;
+  let K  = Math.tan(Math.PI * f0 / rate);
+  const Vh = Math.pow(10, G / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  f0 = 38.13547087602444;
+  Q  = 0.5003270373238773;
+  K  = Math.tan(Math.PI * f0 / rate);
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return { shelf, highpass };
+}
+
+// ─── Gated loudness histogram ────────────────────────────────
+// Keeps a count and the summed energy per bin so gated means stay
+// exact without storing every block of a long listening session.
+class LoudnessHistogram {
+  constructor() {
+    this.counts = new Uint32Array(HIST_BINS);
+    this.energy = new Float64Array(HIST_BINS);
+    this.total  = 0;
+    this.sum    = 0;
+  }
+
+  reset() {
+    this.counts.fill(0);
+    this.energy.fill(0);
+    this.total = 0;
+    this.sum   = 0;
+  }
+
+  binOf(lufs) {
+    const i = Math.floor((lufs - HIST_MIN) / HIST_STEP);
+    return Math.max(0, Math.min(HIST_BINS - 1, i));
+  }
+
+  add(energy) {
+    const lufs = energyToLUFS(energy);
+    if (lufs < ABSOLUTE_GATE) return;
+    const i = this.binOf(lufs);
+    this.counts[i]++;
+    this.energy[i] += energy;
+    this.total++;
+    this.sum += energy;
+  }
+
+  relativeGateBin(relativeGate) {
+    return this.binOf(energyToLUFS(this.sum / this.total) + relativeGate);
+  }
+
+  // Integrated loudness: mean energy of blocks above the relative gate
+  integrated() {
+    if (!this.total) return -Infinity;
+    let sum = 0, count = 0;
+    for (let i = this.relativeGateBin(RELATIVE_GATE_I); i < HIST_BINS; i++) {
+      sum   += this.energy[i];
+      count += this.counts[i];
+    }
+    return count ? energyToLUFS(sum / count) : -Infinity;
+  }
+
+  // Loudness range: 10th → 95th percentile of gated short-term values
+  range() {
+    if (!this.total) return 0;
+    const start = this.relativeGateBin(RELATIVE_GATE_LRA);
+    let count = 0;
+    for (let i = start; i < HIST_BINS; i++) count += this.counts[i];
+    if (!count) return 0;
+
+    const percentile = (p) => {
+      const target = Math.floor(count * p);
+      let acc = 0;
+      for (let i = start; i < HIST_BINS; i++) {
+        acc += this.counts[i];
+        if (acc > target) return HIST_MIN + (i + 0.5) * HIST_STEP;
+      }
+      return HIST_MIN + (HIST_BINS - 0.5) * HIST_STEP;
+    };
+    return Math.max(0, percentile(0.95) - percentile(0.10));
+  }
+}
+
+// ─── Processor ───────────────────────────────────────────────
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.coeffs      = kWeightingCoefficients(sampleRate);
+    this.blockSize   = Math.round(sampleRate * BLOCK_SEC);
+    this.filterState = [];      // per channel: [x1, x2, y1, y2] × 2 stages
+    this.blocks      = new Float64Array(SHORT_TERM_BLOCKS);
+    this.integratedHist = new LoudnessHistogram();
+    this.rangeHist      = new LoudnessHistogram();
+    this.held           = false;
+    this.reset();
+
+    this.port.onmessage = (e) => {
+      if (!e.data) return;
+      if (e.data.type === 'reset') this.reset();
+      else if (e.data.type === 'hold') this.held = !!e.data.hold;
+    };
+  }
+
+  reset() {
+    this.filterState = [];
+    this.blocks.fill(0);
+    this.blockPos    = 0;
+    this.blockCount  = 0;
+    this.acc         = 0;
+    this.accSamples  = 0;
+    this.integratedHist.reset();
+    this.rangeHist.reset();
+  }
+
+  // Two cascaded biquads (direct form I) for one sample of one channel
+  kWeight(x, s) {
+    const a = this.coeffs.shelf;
+    const b = this.coeffs.highpass;
+    const y1 = a.b0 * x + a.b1 * s[0] + a.b2 * s[1] - a.a1 * s[2] - a.a2 * s[3];
+    s[1] = s[0]; s[0] = x;
+    s[3] = s[2]; s[2] = y1;
+    const y2 = b.b0 * y1 + b.b1 * s[4] + b.b2 * s[5] - b.a1 * s[6] - b.a2 * s[7];
+    s[5] = s[4]; s[4] = y1;
+    s[7] = s[6]; s[6] = y2;
+    return y2;
+  }
+
+  // Channel weights per BS.1770 — LFE (index 3 of 5.1) is excluded,
+  // surround channels are boosted by +1.5 dB.
+  channelWeight(c, channels) {
+    if (channels < 6) return 1;
+    if (c === 3) return 0;
+    return c >= 4 ? 1.41 : 1;
+  }
+
+  meanEnergy(n) {
+    let sum = 0;
+    for (let k = 1; k <= n; k++) {
+      sum += this.blocks[(this.blockPos - k + SHORT_TERM_BLOCKS) % SHORT_TERM_BLOCKS];
+    }
+    return sum / n;
+  }
+
+  finishBlock() {
+    this.blocks[this.blockPos] = this.acc / this.accSamples;
+    this.blockPos = (this.blockPos + 1) % SHORT_TERM_BLOCKS;
+    this.blockCount++;
+    this.acc = 0;
+    this.accSamples = 0;
+
+    let momentary = -Infinity;
+    let shortTerm = -Infinity;
+
+    if (this.blockCount >= MOMENTARY_BLOCKS) {
+      const m = this.meanEnergy(MOMENTARY_BLOCKS);
+      momentary = energyToLUFS(m);
+      if (!this.held) this.integratedHist.add(m);
+      // Until 3 s have elapsed, short-term covers what is available
+      const n = Math.min(this.blockCount, SHORT_TERM_BLOCKS);
+      const s = this.meanEnergy(n);
+      shortTerm = energyToLUFS(s);
+      if (n === SHORT_TERM_BLOCKS && !this.held) this.rangeHist.add(s);
+    }
+
+    this.port.postMessage({
+      momentary,
+      shortTerm,
+      integrated:   this.integratedHist.integrated(),
+      lra:          this.rangeHist.range(),
+      gatedSeconds: this.integratedHist.total * BLOCK_SEC
+    });
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || !input.length) return true;
+
+    const channels = input.length;
+    const frames   = input[0].length;
+    for (let c = this.filterState.length; c < channels; c++) {
+      this.filterState.push(new Float64Array(8));
+    }
+
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channels; c++) {
+        const w = this.channelWeight(c, channels);
+        if (!w) continue;
+        const y = this.kWeight(input[c][i], this.filterState[c]);
+        this.acc += w * y * y;
+      }
+      if (++this.accSamples >= this.blockSize) this.finishBlock();
+    }
+    return true;
+  }
+}
+
+registerProcessor('loudness-meter', LoudnessMeterProcessor);
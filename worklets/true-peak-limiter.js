@@ -0,0 +1,200 @@
+// ─────────────────────────────────────────────────────────────
+// YouTube Audio Normalizer — True-Peak Limiter (AudioWorklet)
+// Lookahead brick-wall limiter with 4× oversampled true-peak
+// detection (ITU-R BS.1770 Annex 2). Gain is computed from a
+// minimum-hold over the lookahead window, released
+// exponentially, then box-smoothed so the attack ramp finishes
+// exactly when the peak leaves the delay line. Every 100 ms it
+// reports its deepest reduction and the highest true peak that
+// reached it.
+// ─────────────────────────────────────────────────────────────
+
+const OVERSAMPLE       = 4;
+const TAPS_PER_PHASE   = 12;
+const TP_DELAY         = 6;   // interpolator group delay, in samples
+const MAX_LOOKAHEAD_MS = 20;
+const REPORT_SEC       = 0.1;
+
+const dBtoLinear = (dB) => Math.pow(10, dB / 20);
+
+// Hann-windowed sinc interpolator, split into polyphase branches.
+// Phase 0 reproduces the original sample and is skipped.
+function interpolatorPhases() {
+  const len    = OVERSAMPLE * TAPS_PER_PHASE;
+  const centre = len / 2;
+  const phases = [];
+  for (let p = 1; p < OVERSAMPLE; p++) {
+    const taps = new Float64Array(TAPS_PER_PHASE);
+    for (let j = 0; j < TAPS_PER_PHASE; j++) {
+      const k = j * OVERSAMPLE + p;
+      const t = (k - centre) / OVERSAMPLE;
+      const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+      const w = 0.5 + 0.5 * Math.cos(Math.PI * (k - centre) / centre);
+      taps[j] = sinc * w;
+    }
+    phases.push(taps);
+  }
+  return phases;
+}
+
+class TruePeakLimiterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'ceiling', defaultValue: -1,  minValue: -20, maxValue: 0,    automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 50,  minValue: 1,   maxValue: 1000, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const opts = (options && options.processorOptions) || {};
+
+    this.phases   = interpolatorPhases();
+    this.maxLen   = Math.ceil(MAX_LOOKAHEAD_MS / 1000 * sampleRate);
+    this.history  = [];   // per channel, last TAPS_PER_PHASE input samples
+    this.histPos  = 0;
+    this.delay    = [];   // per channel delay lines
+    this.delayLen = this.maxLen + TP_DELAY;
+    this.delayPos = 0;
+    this.prevPeak = 0;
+
+    // minimum-hold deque (values + sample indices) and box filter ring
+    this.holdVal = new Float64Array(this.maxLen + 1);
+    this.holdIdx = new Float64Array(this.maxLen + 1);
+    this.box     = new Float64Array(this.maxLen);
+    this.sample  = 0;
+    this.env     = 1;
+
+    this.reportEvery = Math.round(REPORT_SEC * sampleRate);
+    this.reportCount = 0;
+    this.minGain     = 1;
+    this.maxPeak     = 0;
+
+    this.lookahead = 0;
+    this.setLookahead(opts.lookahead != null ? opts.lookahead : 5);
+
+    this.port.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === 'configure' && msg.lookahead != null) this.setLookahead(msg.lookahead);
+    };
+  }
+
+  // Changing the window restarts gain smoothing; the delay line
+  // keeps its contents so only the latency jumps.
+  setLookahead(ms) {
+    const len = Math.max(1, Math.min(this.maxLen, Math.round(ms / 1000 * sampleRate)));
+    if (len === this.lookahead) return;
+    this.lookahead = len;
+    this.holdHead = 0;
+    this.holdSize = 0;
+    this.box.fill(this.env, 0, len);
+    this.boxSum = this.env * len;
+    this.boxPos = 0;
+  }
+
+  ensureChannels(n) {
+    while (this.history.length < n) {
+      this.history.push(new Float64Array(TAPS_PER_PHASE));
+      this.delay.push(new Float32Array(this.delayLen));
+    }
+  }
+
+  // Largest absolute value between the previous and current sample
+  // of any channel, including interpolated inter-sample points.
+  truePeak(input, i, channels) {
+    const pos = this.histPos;
+    let peak = 0;
+    for (let c = 0; c < channels; c++) {
+      const h = this.history[c];
+      h[pos] = input[c][i];
+      const centre = h[(pos - TAPS_PER_PHASE / 2 + TAPS_PER_PHASE) % TAPS_PER_PHASE];
+      peak = Math.max(peak, Math.abs(centre));
+      for (let p = 0; p < this.phases.length; p++) {
+        const taps = this.phases[p];
+        let acc = 0;
+        for (let j = 0; j < TAPS_PER_PHASE; j++) {
+          acc += taps[j] * h[(pos - j + TAPS_PER_PHASE) % TAPS_PER_PHASE];
+        }
+        peak = Math.max(peak, Math.abs(acc));
+      }
+    }
+    this.histPos = (pos + 1) % TAPS_PER_PHASE;
+    return peak;
+  }
+
+  // Sliding minimum over the last `lookahead` samples
+  minHold(v) {
+    const cap = this.holdVal.length;
+    const n = this.sample++;
+    while (this.holdSize) {
+      const tail = (this.holdHead + this.holdSize - 1) % cap;
+      if (this.holdVal[tail] < v) break;
+      this.holdSize--;
+    }
+    const slot = (this.holdHead + this.holdSize) % cap;
+    this.holdVal[slot] = v;
+    this.holdIdx[slot] = n;
+    this.holdSize++;
+    if (this.holdIdx[this.holdHead] <= n - this.lookahead) {
+      this.holdHead = (this.holdHead + 1) % cap;
+      this.holdSize--;
+    }
+    return this.holdVal[this.holdHead];
+  }
+
+  smooth(v) {
+    this.boxSum += v - this.box[this.boxPos];
+    this.box[this.boxPos] = v;
+    this.boxPos = (this.boxPos + 1) % this.lookahead;
+    return this.boxSum / this.lookahead;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input  = inputs[0];
+    const output = outputs[0];
+    if (!input || !input.length) return true;
+
+    const ceiling  = dBtoLinear(parameters.ceiling[0]);
+    const release  = Math.exp(-1 / (parameters.release[0] / 1000 * sampleRate));
+    const channels = Math.min(input.length, output.length);
+    const frames   = input[0].length;
+    const latency  = this.lookahead - 1 + TP_DELAY;
+    this.ensureChannels(channels);
+
+    for (let i = 0; i < frames; i++) {
+      const peak = this.truePeak(input, i, channels);
+      const tp   = Math.max(peak, this.prevPeak);
+      this.prevPeak = peak;
+      if (peak > this.maxPeak) this.maxPeak = peak;
+
+      const required = tp > ceiling ? ceiling / tp : 1;
+      const held = this.minHold(required);
+      this.env = held < this.env ? held : held + (this.env - held) * release;
+      const gain = Math.min(1, this.smooth(this.env));
+      if (gain < this.minGain) this.minGain = gain;
+
+      const w = this.delayPos;
+      const r = (w - latency + this.delayLen) % this.delayLen;
+      for (let c = 0; c < channels; c++) {
+        const line = this.delay[c];
+        line[w] = input[c][i];
+        output[c][i] = line[r] * gain;
+      }
+      this.delayPos = (w + 1) % this.delayLen;
+    }
+
+    this.reportCount += frames;
+    if (this.reportCount >= this.reportEvery) {
+      this.port.postMessage({
+        reduction: 20 * Math.log10(this.minGain),
+        peak: this.maxPeak > 0 ? 20 * Math.log10(this.maxPeak) : -Infinity
+      });
+      this.reportCount = 0;
+      this.minGain = 1;
+      this.maxPeak = 0;
+    }
+    return true;
+  }
+}
+
+registerProcessor('true-peak-limiter', TruePeakLimiterProcessor);